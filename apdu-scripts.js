@@ -0,0 +1,242 @@
+/**
+ * On-detect APDU scripts. Loaded by the background worker (to run the
+ * scripts when a card is presented) and the options page (to validate the
+ * setting on save). Needs apdu.js and mifare.js (for the decoders).
+ *
+ * Each script is an object:
+ *   { name, match, steps: [{ apdu, expect, extract: [...] }] }
+ * match selects cards by parseAtr output (cardName, standard, cardType,
+ * rid, each a string or list of strings) and/or atrPrefix; a script
+ * without match runs on every card. Steps run in order through
+ * transmitApdu, and a status word outside expect (default "9000", "x"
+ * matches any digit) stops the script. Each extract rule picks bytes from
+ * the step's response data, by offset/length or by BER-TLV tag, and
+ * decodes them into a value named by the rule.
+ */
+
+const APDU_MATCH_FIELDS = ['cardName', 'standard', 'cardType', 'rid'];
+
+const APDU_DECODERS = {
+  ...MIFARE_DECODERS,
+
+  // Unsigned big-endian integer
+  uint: (bytes) => {
+    if (bytes.length > 6) throw new Error('uint values are limited to 6 bytes');
+    return bytes.reduce((n, b) => n * 256 + b, 0);
+  },
+};
+
+/**
+ * Parse and validate the scripts setting (JSON array text). Returns
+ * { scripts } with APDUs as byte arrays and defaults filled in, or { error }.
+ */
+function parseApduScripts(text) {
+  if (!text || !text.trim()) return { scripts: [] };
+
+  let scripts;
+  try {
+    scripts = JSON.parse(text);
+  } catch (e) {
+    return { error: 'Invalid JSON: ' + e.message };
+  }
+  if (!Array.isArray(scripts)) return { error: 'Must be a JSON array of scripts' };
+
+  const scriptNames = new Set();
+  const valueNames = new Set();
+  const out = [];
+  for (const [i, s] of scripts.entries()) {
+    let where = 'Script #' + (i + 1) + ': ';
+    if (!s || typeof s !== 'object') return { error: where + 'must be an object' };
+    if (typeof s.name !== 'string' || !s.name.trim()) return { error: where + 'name is required' };
+    if (scriptNames.has(s.name)) return { error: where + 'duplicate name "' + s.name + '"' };
+    scriptNames.add(s.name);
+    where = 'Script "' + s.name + '": ';
+
+    const match = {};
+    if (s.match !== undefined) {
+      if (!s.match || typeof s.match !== 'object') return { error: where + 'match must be an object' };
+      for (const [key, value] of Object.entries(s.match)) {
+        if (key === 'atrPrefix') {
+          const prefix = String(value).replace(/[\s:]/g, '').toUpperCase();
+          if (!/^([0-9A-F]{2})+$/.test(prefix)) return { error: where + 'atrPrefix must be hex bytes' };
+          match.atrPrefix = prefix;
+        } else if (APDU_MATCH_FIELDS.includes(key)) {
+          const list = Array.isArray(value) ? value : [value];
+          if (list.length === 0 || !list.every(v => typeof v === 'string')) {
+            return { error: where + 'match.' + key + ' must be a string or list of strings' };
+          }
+          match[key] = list;
+        } else {
+          return { error: where + 'unknown match field "' + key + '" (use ' +
+            APDU_MATCH_FIELDS.join(', ') + ' or atrPrefix)' };
+        }
+      }
+    }
+
+    if (!Array.isArray(s.steps) || s.steps.length === 0) return { error: where + 'steps must be a non-empty array' };
+    const steps = [];
+    for (const [j, step] of s.steps.entries()) {
+      const at = where + 'step ' + (j + 1) + ': ';
+      if (!step || typeof step !== 'object') return { error: at + 'must be an object' };
+
+      const apdu = parseApduHex(step.apdu);
+      if (apdu.error) return { error: at + apdu.error };
+
+      const expect = (step.expect === undefined ? ['9000'] : [].concat(step.expect))
+        .map(p => String(p).replace(/\s/g, '').toUpperCase());
+      if (expect.length === 0 || !expect.every(p => /^[0-9A-FX]{4}$/.test(p))) {
+        return { error: at + 'expect must be status words like "9000" or "61XX"' };
+      }
+
+      const extract = [];
+      for (const rule of step.extract || []) {
+        const parsed = parseExtractRule(rule, valueNames);
+        if (parsed.error) return { error: at + parsed.error };
+        extract.push(parsed.rule);
+      }
+      steps.push({ apdu: apdu.bytes, expect, extract });
+    }
+
+    out.push({ name: s.name, match, steps });
+  }
+  return { scripts: out };
+}
+
+/**
+ * Validate one extract rule. Value names must be unique across all
+ * scripts since they share the payload's card_data object.
+ */
+function parseExtractRule(r, valueNames) {
+  if (!r || typeof r !== 'object') return { error: 'extract rules must be objects' };
+  if (typeof r.name !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(r.name)) {
+    return { error: 'extract name must be an identifier, e.g. "accountNumber"' };
+  }
+  if (valueNames.has(r.name)) return { error: 'duplicate value name "' + r.name + '"' };
+  valueNames.add(r.name);
+
+  const decode = r.decode || 'hex';
+  if (!APDU_DECODERS[decode]) {
+    return { error: 'decode must be one of ' + Object.keys(APDU_DECODERS).join(', ') };
+  }
+
+  let tlv = null;
+  if (r.tlv !== undefined) {
+    tlv = String(r.tlv).replace(/\s/g, '').toUpperCase();
+    if (!/^([0-9A-F]{2}){1,3}$/.test(tlv)) return { error: 'tlv must be a tag of 1-3 hex bytes, e.g. "5A"' };
+  }
+
+  const offset = r.offset === undefined ? 0 : r.offset;
+  const length = r.length === undefined ? null : r.length;
+  if (!Number.isInteger(offset) || offset < 0 || (length !== null && (!Number.isInteger(length) || length < 1))) {
+    return { error: 'offset/length must be non-negative whole numbers' };
+  }
+
+  return { rule: { name: r.name, tlv, offset, length, decode } };
+}
+
+function apduScriptMatches(script, cardInfo, atr) {
+  const m = script.match;
+  if (m.atrPrefix && !(atr || '').replace(/:/g, '').startsWith(m.atrPrefix)) return false;
+  for (const field of APDU_MATCH_FIELDS) {
+    if (m[field] && !(cardInfo && m[field].includes(cardInfo[field]))) return false;
+  }
+  return true;
+}
+
+/**
+ * Whether a status word matches a pattern such as "9000" or "61XX".
+ */
+function statusWordMatches(pattern, sw1, sw2) {
+  const sw = ((sw1 << 8) | sw2).toString(16).toUpperCase().padStart(4, '0');
+  return [...pattern].every((c, i) => c === 'X' || c === sw[i]);
+}
+
+/**
+ * Find the value of a BER-TLV tag, descending into constructed objects.
+ * Returns the value bytes or null.
+ */
+function findTlv(bytes, tag) {
+  let pos = 0;
+  while (pos < bytes.length) {
+    // 00 / FF padding between objects
+    if (bytes[pos] === 0x00 || bytes[pos] === 0xFF) {
+      pos++;
+      continue;
+    }
+
+    const tagStart = pos;
+    if ((bytes[pos++] & 0x1F) === 0x1F) {
+      while (pos < bytes.length && (bytes[pos] & 0x80)) pos++;
+      pos++;
+    }
+    const tagHex = hexBytes(bytes.slice(tagStart, pos)).replace(/ /g, '');
+    const constructed = (bytes[tagStart] & 0x20) !== 0;
+
+    let len = bytes[pos++];
+    if (len === undefined) return null;
+    if (len & 0x80) {
+      const count = len & 0x7F;
+      if (count === 0 || count > 3) return null;
+      len = 0;
+      for (let i = 0; i < count; i++) len = len * 256 + bytes[pos++];
+    }
+    const value = bytes.slice(pos, pos + len);
+    if (value.length < len) return null;
+
+    if (tagHex === tag) return value;
+    if (constructed) {
+      const inner = findTlv(value, tag);
+      if (inner) return inner;
+    }
+    pos += len;
+  }
+  return null;
+}
+
+function extractValue(rule, data) {
+  let bytes = data;
+  if (rule.tlv) {
+    bytes = findTlv(data, rule.tlv);
+    if (!bytes) throw new Error('tag ' + rule.tlv + ' not found');
+  }
+  const end = rule.length === null ? bytes.length : rule.offset + rule.length;
+  if (end > bytes.length || rule.offset > bytes.length) {
+    throw new Error('response has ' + bytes.length + ' bytes, rule needs ' + end);
+  }
+  return APDU_DECODERS[rule.decode](bytes.slice(rule.offset, end));
+}
+
+/**
+ * Run every script that matches the card. Returns { values, errors }:
+ * values keyed by extract name, errors keyed by script name. A failing
+ * step ends its own script; the others still run.
+ * @param {PcscClient} client
+ * @param {object} card - { handle, protocol } from connectCard
+ * @param {Array} scripts - output of parseApduScripts
+ * @param {object} cardInfo - parseAtr output
+ * @param {string} atr - ATR hex as shown in the popup
+ */
+async function runApduScripts(client, card, scripts, cardInfo, atr) {
+  const values = {};
+  const errors = {};
+
+  for (const script of scripts) {
+    if (!apduScriptMatches(script, cardInfo, atr)) continue;
+    for (const [i, step] of script.steps.entries()) {
+      try {
+        const result = await transmitApdu(client, card, step.apdu);
+        if (!step.expect.some(p => statusWordMatches(p, result.sw1, result.sw2))) {
+          throw new Error('SW ' + hexBytes([result.sw1, result.sw2]) + ' (' + result.meaning + ')');
+        }
+        for (const rule of step.extract) {
+          values[rule.name] = extractValue(rule, result.data);
+        }
+      } catch (e) {
+        errors[script.name] = 'Step ' + (i + 1) + ': ' + e.message;
+        break;
+      }
+    }
+  }
+
+  return { values, errors };
+}
@@ -0,0 +1,165 @@
+/**
+ * Raw APDU exchange for the popup's APDU console. Loaded by the background
+ * worker, which runs console commands on its own card connection.
+ *
+ * transmitApdu follows the ISO 7816-4 transport conventions a terminal is
+ * expected to handle itself: 61xx (more data, send GET RESPONSE) and 6Cxx
+ * (wrong Le, resend with Le = xx). Every exchange is kept so the console
+ * can show the full chain.
+ */
+
+// GET RESPONSE / Le-correction rounds before giving up on a card
+const APDU_MAX_CHAIN = 32;
+
+// Short APDU limits: CLA INS P1 P2, then Lc + 255 data bytes + Le
+const APDU_MIN_LENGTH = 4;
+const APDU_MAX_LENGTH = 261;
+
+/**
+ * ISO 7816-4 status words with a fixed meaning. Ranges with a variable
+ * second byte are handled in describeStatusWord.
+ */
+const SW_MEANINGS = {
+  '9000': 'Success',
+  '6200': 'Warning: no information given, state unchanged',
+  '6281': 'Warning: part of returned data may be corrupted',
+  '6282': 'Warning: end of file reached before reading Le bytes',
+  '6283': 'Warning: selected file deactivated',
+  '6284': 'Warning: file control information not formatted',
+  '6300': 'Warning: verification failed',
+  '6381': 'Warning: file filled up by the last write',
+  '6400': 'Execution error: state unchanged',
+  '6401': 'Execution error: immediate response required by the card',
+  '6581': 'Execution error: memory failure',
+  '6700': 'Wrong length',
+  '6800': 'Functions in CLA not supported',
+  '6881': 'Logical channel not supported',
+  '6882': 'Secure messaging not supported',
+  '6883': 'Last command of the chain expected',
+  '6884': 'Command chaining not supported',
+  '6900': 'Command not allowed',
+  '6981': 'Command incompatible with file structure',
+  '6982': 'Security status not satisfied',
+  '6983': 'Authentication method blocked',
+  '6984': 'Reference data not usable',
+  '6985': 'Conditions of use not satisfied',
+  '6986': 'Command not allowed (no current EF)',
+  '6987': 'Expected secure messaging data objects missing',
+  '6988': 'Incorrect secure messaging data objects',
+  '6A00': 'Wrong parameters P1-P2',
+  '6A80': 'Incorrect parameters in the command data field',
+  '6A81': 'Function not supported',
+  '6A82': 'File or application not found',
+  '6A83': 'Record not found',
+  '6A84': 'Not enough memory space in the file',
+  '6A85': 'Nc inconsistent with TLV structure',
+  '6A86': 'Incorrect parameters P1-P2',
+  '6A87': 'Nc inconsistent with parameters P1-P2',
+  '6A88': 'Referenced data or reference data not found',
+  '6A89': 'File already exists',
+  '6A8A': 'DF name already exists',
+  '6B00': 'Wrong parameters P1-P2 (offset outside the EF)',
+  '6D00': 'Instruction code not supported or invalid',
+  '6E00': 'Class not supported',
+  '6F00': 'No precise diagnosis',
+};
+
+/**
+ * Parse console input: hex digits, optionally separated by spaces or
+ * colons. Returns { bytes } or { error }.
+ */
+function parseApduHex(text) {
+  const hex = (text || '').replace(/[\s:]/g, '');
+  if (!hex) return { error: 'Enter an APDU as hex, e.g. FF CA 00 00 00' };
+  if (!/^[0-9A-Fa-f]*$/.test(hex)) return { error: 'APDU must be hex digits' };
+  if (hex.length % 2 !== 0) return { error: 'APDU has an odd number of hex digits' };
+
+  const bytes = hex.match(/../g).map(h => parseInt(h, 16));
+  if (bytes.length < APDU_MIN_LENGTH) return { error: 'APDU needs at least CLA INS P1 P2' };
+  if (bytes.length > APDU_MAX_LENGTH) return { error: 'APDU is longer than ' + APDU_MAX_LENGTH + ' bytes' };
+  if (bytes.length > 5 && bytes[4] === 0) return { error: 'Extended-length APDUs are not supported' };
+  if (bytes.length > 5 && bytes.length !== 5 + bytes[4] && bytes.length !== 6 + bytes[4]) {
+    return { error: 'Lc (' + bytes[4] + ') does not match the data length' };
+  }
+  return { bytes };
+}
+
+/**
+ * Human-readable meaning of a status word.
+ */
+function describeStatusWord(sw1, sw2) {
+  const sw = hexBytes([sw1, sw2]).replace(' ', '');
+  if (SW_MEANINGS[sw]) return SW_MEANINGS[sw];
+
+  if (sw1 === 0x61) return sw2 + ' more bytes available (GET RESPONSE)';
+  if (sw1 === 0x6C) return 'Wrong Le: ' + sw2 + ' bytes available';
+  if (sw1 === 0x63 && (sw2 & 0xF0) === 0xC0) return 'Verification failed, ' + (sw2 & 0x0F) + ' tries left';
+  if (sw1 === 0x62) return 'Warning: state unchanged';
+  if (sw1 === 0x63) return 'Warning: state changed';
+  if (sw1 === 0x64 || sw1 === 0x65) return 'Execution error';
+  if (sw1 === 0x66) return 'Security-related error';
+  if (sw1 === 0x67) return 'Wrong length';
+  if (sw1 === 0x68) return 'Functions in CLA not supported';
+  if (sw1 === 0x69) return 'Command not allowed';
+  if (sw1 === 0x6A) return 'Wrong parameters P1-P2';
+  if ((sw1 & 0xF0) === 0x90) return 'Application-specific status';
+  return 'Unknown status';
+}
+
+/**
+ * The same command with its Le byte set to le (short APDUs only).
+ */
+function withLe(apdu, le) {
+  // Case 1 (header only) and case 3 (header + Lc + data) have no Le yet
+  if (apdu.length === 4 || (apdu.length > 5 && apdu.length === 5 + apdu[4])) {
+    return [...apdu, le];
+  }
+  return [...apdu.slice(0, -1), le];
+}
+
+/**
+ * Send an APDU and follow 61xx / 6Cxx chains. Returns
+ * { exchanges: [{ command, response }], data, sw1, sw2, meaning } where
+ * data is the response data collected across the chain.
+ * @param {PcscClient} client
+ * @param {object} card - { handle, protocol } from connectCard
+ * @param {number[]} apdu
+ */
+async function transmitApdu(client, card, apdu) {
+  const exchanges = [];
+  let data = [];
+  let command = apdu;
+
+  for (let round = 0; round < APDU_MAX_CHAIN; round++) {
+    const response = await client.transmit(card.handle, card.protocol, command);
+    exchanges.push({ command, response });
+    if (response.length < 2) throw new Error('Short response from card');
+
+    const sw1 = response[response.length - 2];
+    const sw2 = response[response.length - 1];
+
+    if (sw1 === 0x6C) {
+      // Wrong Le — discard this answer and repeat with the length the card wants
+      command = withLe(command, sw2);
+      continue;
+    }
+
+    data = data.concat(response.slice(0, -2));
+    if (sw1 === 0x61) {
+      // GET RESPONSE on the same logical channel
+      command = [apdu[0] & 0x03, 0xC0, 0x00, 0x00, sw2];
+      continue;
+    }
+
+    return { exchanges, data, sw1, sw2, meaning: describeStatusWord(sw1, sw2) };
+  }
+
+  throw new Error('Card kept chaining after ' + APDU_MAX_CHAIN + ' rounds');
+}
+
+/**
+ * Space-separated uppercase hex, the usual way APDUs are written.
+ */
+function hexBytes(bytes) {
+  return bytes.map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+}
@@ -0,0 +1,151 @@
+/**
+ * ATR database in the pcsc-tools smartcard_list.txt format. Loaded by the
+ * options page (to import and search it) and the background worker (to
+ * add matching descriptions to cardInfo.atrMatches).
+ *
+ * The file is a list of entries separated by blank lines:
+ *
+ *   # comment
+ *   3B 8F 80 01 80 4F 0C A0 00 00 03 06 03 00 01 00 00 00 00 ..
+ *   	MIFARE Classic 1K (as per PCSC std part3)
+ *
+ * The first line of an entry is the ATR as a regular expression over
+ * space-separated uppercase hex (".." matches any byte); the following
+ * tab-indented lines describe it. An entry line may instead be written as
+ * "ATR / MASK", matching when (atr & mask) == (ATR & mask) byte for byte.
+ * Parsed entries are stored in chrome.storage.local under
+ * ATR_DATABASE_KEY as { source, importedAt, entries }.
+ */
+
+const ATR_DATABASE_KEY = 'atrDatabase';
+
+const ATR_MASK_LINE_RE = /^((?:[0-9A-F]{2} ?)+)\/ ?((?:[0-9A-F]{2} ?)+)$/i;
+
+/**
+ * Parse smartcard_list.txt text. Returns { entries, skipped } where
+ * entries are { pattern, mask, descriptions } and skipped counts entries
+ * whose pattern is not a valid regular expression or mask.
+ */
+function parseSmartcardList(text) {
+  const entries = [];
+  let skipped = 0;
+  let current = null;
+
+  const finish = () => {
+    if (current && current.descriptions.length > 0) {
+      if (compileAtrEntry(current)) entries.push(current);
+      else skipped++;
+    }
+    current = null;
+  };
+
+  for (const raw of text.split(/\r?\n/)) {
+    if (raw.startsWith('#')) continue;
+    if (!raw.trim()) {
+      finish();
+      continue;
+    }
+    if (/^\s/.test(raw)) {
+      if (current) current.descriptions.push(raw.trim());
+      continue;
+    }
+
+    // A new ATR line also ends an entry not followed by a blank line
+    finish();
+    const line = raw.trim();
+    const masked = line.match(ATR_MASK_LINE_RE);
+    current = masked
+      ? { pattern: masked[1].trim().toUpperCase(), mask: masked[2].trim().toUpperCase(), descriptions: [] }
+      : { pattern: line, mask: null, descriptions: [] };
+  }
+  finish();
+
+  return { entries, skipped };
+}
+
+/**
+ * Build a matcher for one entry: a function of the ATR as space-separated
+ * uppercase hex. Returns null if the entry is invalid.
+ */
+function compileAtrEntry(entry) {
+  if (entry.mask) {
+    const pattern = entry.pattern.split(' ').map(h => parseInt(h, 16));
+    const mask = entry.mask.split(' ').map(h => parseInt(h, 16));
+    if (pattern.length !== mask.length) return null;
+    return (atrText) => {
+      const atr = atrText.split(' ').map(h => parseInt(h, 16));
+      return atr.length === pattern.length && atr.every((b, i) => (b & mask[i]) === (pattern[i] & mask[i]));
+    };
+  }
+
+  try {
+    const re = new RegExp('^' + entry.pattern + '$', 'i');
+    return (atrText) => re.test(atrText);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Compile stored entries for repeated matching.
+ */
+function compileAtrDatabase(entries) {
+  const compiled = [];
+  for (const entry of entries) {
+    const test = compileAtrEntry(entry);
+    if (test) compiled.push({ test, entry });
+  }
+  return compiled;
+}
+
+/**
+ * Normalize ATR input (bytes, or hex with any separators) to the
+ * space-separated uppercase form the database patterns are written for.
+ */
+function atrDatabaseText(atr) {
+  if (Array.isArray(atr)) return atr.map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+  return (atr.replace(/[^0-9A-Fa-f]/g, '').toUpperCase().match(/../g) || []).join(' ');
+}
+
+/**
+ * Descriptions of every entry matching an ATR, in database order.
+ */
+function matchAtrDatabase(compiled, atr) {
+  const text = atrDatabaseText(atr);
+  const out = [];
+  for (const { test, entry } of compiled) {
+    if (test(text)) out.push(...entry.descriptions);
+  }
+  return out;
+}
+
+/**
+ * Search the database for the options page. Hex input (separated bytes, or
+ * at least four unseparated ones) is matched as an ATR; anything else is a
+ * case-insensitive substring of a pattern or description. Returns up to
+ * limit entries.
+ */
+function searchAtrDatabase(compiled, query, limit = 50) {
+  const q = query.trim();
+  if (!q) return [];
+
+  const results = [];
+  if (/^[0-9A-Fa-f]{2}([\s:][0-9A-Fa-f]{2})+$|^([0-9A-Fa-f]{2}){4,}$/.test(q)) {
+    const text = atrDatabaseText(q);
+    for (const { test, entry } of compiled) {
+      if (test(text)) results.push(entry);
+      if (results.length >= limit) break;
+    }
+    return results;
+  }
+
+  const needle = q.toLowerCase();
+  for (const { entry } of compiled) {
+    if (entry.pattern.toLowerCase().includes(needle) ||
+        entry.descriptions.some(d => d.toLowerCase().includes(needle))) {
+      results.push(entry);
+      if (results.length >= limit) break;
+    }
+  }
+  return results;
+}
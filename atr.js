@@ -0,0 +1,353 @@
+/**
+ * ISO 7816-3 ATR decoding: convention, interface bytes and the protocol
+ * parameters they carry, the TCK checksum, and the ISO 7816-4 compact-TLV
+ * objects in the historical bytes. Loaded by the background worker next to
+ * pcsc-client.js, whose parseAtr uses atrStructure to find the historical
+ * bytes.
+ *
+ * decodeAtr never throws: problems with a malformed ATR are listed in
+ * errors and everything that could be decoded is still returned.
+ */
+
+// Reference clock for the baud rate shown next to Fi/Di (the usual
+// contact reader clock; contactless readers report a virtual ATR)
+const ATR_REFERENCE_CLOCK_MHZ = 3.5712;
+
+// Fi -> [F, fmax MHz]; missing entries are RFU
+const ATR_FI = {
+  0x0: [372, 4], 0x1: [372, 5], 0x2: [558, 6], 0x3: [744, 8],
+  0x4: [1116, 12], 0x5: [1488, 16], 0x6: [1860, 20],
+  0x9: [512, 5], 0xA: [768, 7.5], 0xB: [1024, 10], 0xC: [1536, 15], 0xD: [2048, 20],
+};
+
+// Di -> D; missing entries are RFU
+const ATR_DI = { 0x1: 1, 0x2: 2, 0x3: 4, 0x4: 8, 0x5: 16, 0x6: 32, 0x7: 64, 0x8: 12, 0x9: 20 };
+
+const ATR_CLOCK_STOP = ['not supported', 'state L', 'state H', 'no preference'];
+
+const ATR_VOLTAGE_CLASSES = [[0x01, 'A (5 V)'], [0x02, 'B (3 V)'], [0x04, 'C (1.8 V)']];
+
+// Compact-TLV tag numbers in the historical bytes (ISO 7816-4, 8.1.1)
+const COMPACT_TLV_TAGS = {
+  0x1: 'Country code and national data',
+  0x2: 'Issuer identification number',
+  0x3: 'Card service data',
+  0x4: 'Initial access data',
+  0x5: 'Card issuer data',
+  0x6: 'Pre-issuing data',
+  0x7: 'Card capabilities',
+  0x8: 'Status indicator',
+  0xF: 'Application identifier',
+};
+
+// Life cycle status byte values (ISO 7816-4, 5.3.3.2)
+const LIFE_CYCLE_STATES = {
+  0x00: 'No information given',
+  0x01: 'Creation',
+  0x03: 'Initialisation',
+  0x04: 'Operational (deactivated)',
+  0x05: 'Operational (activated)',
+  0x06: 'Operational (deactivated)',
+  0x07: 'Operational (activated)',
+};
+
+function atrHex(bytes) {
+  return bytes.map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+}
+
+/**
+ * Walk the interface bytes. Returns { groups, historicalStart, k, tckIndex }
+ * where groups[i] = { TA, TB, TC, TD, protocol } for interface byte group
+ * i + 1 (protocol is the T announced by the TD that introduced the group),
+ * or null if the ATR ends before its declared interface bytes.
+ */
+function atrStructure(atrBytes) {
+  if (!atrBytes || atrBytes.length < 2) return null;
+
+  const k = atrBytes[1] & 0x0F;
+  const groups = [];
+  let y = atrBytes[1] >> 4;
+  let protocol = null; // the first group is global
+  let idx = 2;
+  let offersOther = false;
+
+  while (true) {
+    const group = { TA: null, TB: null, TC: null, TD: null, protocol };
+    for (const [bit, name] of [[0x1, 'TA'], [0x2, 'TB'], [0x4, 'TC'], [0x8, 'TD']]) {
+      if (y & bit) {
+        if (idx >= atrBytes.length) return null;
+        group[name] = atrBytes[idx++];
+      }
+    }
+    groups.push(group);
+    if (group.TD === null) break;
+    y = group.TD >> 4;
+    protocol = group.TD & 0x0F;
+    if (protocol !== 0) offersOther = true;
+  }
+
+  // TCK is present unless only T=0 is indicated
+  const tckIndex = offersOther ? idx + k : null;
+  if (idx + k > atrBytes.length) return null;
+  return { groups, historicalStart: idx, k, tckIndex };
+}
+
+/**
+ * Decode an ATR into a structured description.
+ * @param {number[]} atrBytes
+ */
+function decodeAtr(atrBytes) {
+  const result = {
+    convention: null,
+    protocols: [],
+    interfaceBytes: [],
+    fi: null,
+    di: null,
+    F: null,
+    D: null,
+    fMaxMHz: null,
+    baudRate: null,
+    guardTime: null,
+    specificMode: null,
+    t0: null,
+    t1: null,
+    t15: null,
+    tck: null,
+    historical: null,
+    errors: [],
+  };
+
+  if (!atrBytes || atrBytes.length < 2) {
+    result.errors.push('ATR too short');
+    return result;
+  }
+
+  // TS: initial character
+  if (atrBytes[0] === 0x3B) result.convention = 'direct';
+  else if (atrBytes[0] === 0x3F) result.convention = 'inverse';
+  else result.errors.push('Invalid TS 0x' + atrHex([atrBytes[0]]));
+
+  const structure = atrStructure(atrBytes);
+  if (!structure) {
+    result.errors.push('ATR ends before its declared interface/historical bytes');
+    return result;
+  }
+  const { groups } = structure;
+
+  result.interfaceBytes = groups.map((g, i) => {
+    const out = { index: i + 1 };
+    for (const name of ['TA', 'TB', 'TC', 'TD']) {
+      if (g[name] !== null) out[name] = atrHex([g[name]]);
+    }
+    return out;
+  });
+
+  // Offered protocols: every T in a TD byte, T=0 if there is none
+  const offered = groups.slice(1).map(g => g.protocol);
+  result.protocols = [...new Set(offered.filter(t => t !== 15))];
+  if (result.protocols.length === 0) result.protocols = [0];
+  if (offered.includes(15)) result.protocols.push(15);
+
+  // Global bytes: TA1 = Fi/Di, TC1 = extra guard time, TA2 = specific mode
+  const g1 = groups[0];
+  const ta1 = g1.TA === null ? 0x11 : g1.TA;
+  result.fi = ta1 >> 4;
+  result.di = ta1 & 0x0F;
+  const fi = ATR_FI[result.fi];
+  const d = ATR_DI[result.di];
+  if (fi) {
+    [result.F, result.fMaxMHz] = fi;
+  } else {
+    result.errors.push('RFU Fi value ' + result.fi);
+  }
+  if (d) {
+    result.D = d;
+  } else {
+    result.errors.push('RFU Di value ' + result.di);
+  }
+  if (fi && d) result.baudRate = Math.round(ATR_REFERENCE_CLOCK_MHZ * 1e6 * d / fi[0]);
+
+  const n = g1.TC === null ? 0 : g1.TC;
+  result.guardTime = {
+    n,
+    description: n === 255
+      ? 'Minimum (12 etu for T=0, 11 etu for T=1)'
+      : 12 + n + ' etu',
+  };
+
+  const g2 = groups[1];
+  if (g2 && g2.TA !== null) {
+    result.specificMode = {
+      protocol: g2.TA & 0x0F,
+      canChange: (g2.TA & 0x80) === 0,
+      implicitParameters: (g2.TA & 0x10) !== 0,
+    };
+  }
+
+  if (result.protocols.includes(0)) {
+    // TC2 = waiting time integer for T=0
+    const wi = g2 && g2.TC !== null ? g2.TC : 10;
+    result.t0 = { wi, workWaitingTime: 960 * wi * (result.F || 372) + ' clock cycles' };
+  }
+
+  // Protocol-specific bytes from the third group on, keyed by the T of the
+  // TD that introduced them
+  const t1Group = groups.slice(2).find(g => g.protocol === 1);
+  if (result.protocols.includes(1)) {
+    const tb = t1Group && t1Group.TB !== null ? t1Group.TB : 0x4D;
+    result.t1 = {
+      ifsc: t1Group && t1Group.TA !== null ? t1Group.TA : 32,
+      bwi: tb >> 4,
+      cwi: tb & 0x0F,
+      errorDetection: t1Group && t1Group.TC !== null && (t1Group.TC & 0x01) ? 'CRC' : 'LRC',
+    };
+  }
+
+  const t15Group = groups.slice(2).find(g => g.protocol === 15);
+  if (t15Group) {
+    const ta = t15Group.TA;
+    result.t15 = {
+      clockStop: ta === null ? null : ATR_CLOCK_STOP[ta >> 6],
+      classes: ta === null ? [] : ATR_VOLTAGE_CLASSES.filter(([bit]) => ta & bit).map(([, name]) => name),
+      spu: t15Group.TB === null ? null : (t15Group.TB === 0 ? 'not used' : atrHex([t15Group.TB])),
+    };
+  }
+
+  // TCK: XOR of T0 through TCK must be zero
+  if (structure.tckIndex !== null) {
+    if (structure.tckIndex >= atrBytes.length) {
+      result.errors.push('TCK missing');
+      result.tck = { present: false, valid: false };
+    } else {
+      let xor = 0;
+      for (let i = 1; i <= structure.tckIndex; i++) xor ^= atrBytes[i];
+      result.tck = { present: true, value: atrHex([atrBytes[structure.tckIndex]]), valid: xor === 0 };
+      if (xor !== 0) result.errors.push('TCK checksum mismatch');
+    }
+  } else {
+    result.tck = { present: false, valid: true };
+  }
+
+  const expectedLength = structure.historicalStart + structure.k + (structure.tckIndex !== null ? 1 : 0);
+  if (atrBytes.length > expectedLength) {
+    result.errors.push((atrBytes.length - expectedLength) + ' unexpected trailing byte(s)');
+  }
+
+  result.historical = decodeHistoricalBytes(
+    atrBytes.slice(structure.historicalStart, structure.historicalStart + structure.k));
+  return result;
+}
+
+/**
+ * Decode historical bytes: category indicator followed by compact-TLV
+ * objects (and a trailing status indicator for category 00).
+ */
+function decodeHistoricalBytes(bytes) {
+  if (bytes.length === 0) return null;
+
+  const result = { bytes: atrHex(bytes), category: atrHex([bytes[0]]), objects: [], status: null };
+  const category = bytes[0];
+
+  if (category === 0x10) {
+    result.categoryDescription = 'DIR data reference';
+    if (bytes.length > 1) result.dirReference = atrHex([bytes[1]]);
+    return result;
+  }
+  if (category !== 0x00 && category !== 0x80) {
+    result.categoryDescription = category > 0x80 && category <= 0x8F ? 'RFU' : 'Proprietary';
+    return result;
+  }
+  result.categoryDescription = category === 0x00
+    ? 'Compact-TLV objects and status indicator'
+    : 'Compact-TLV objects';
+
+  // Category 00 ends with a mandatory 3-byte status indicator
+  let end = bytes.length;
+  if (category === 0x00) {
+    if (bytes.length >= 4) {
+      end -= 3;
+      result.status = decodeStatusIndicator(bytes.slice(end));
+    } else {
+      result.error = 'Status indicator missing';
+    }
+  }
+
+  let pos = 1;
+  while (pos < end) {
+    // PC/SC Part 3 storage cards use a BER-style 4F <len> AID here
+    if (bytes[pos] === 0x4F && pos + 1 < end && pos + 2 + bytes[pos + 1] <= end) {
+      const value = bytes.slice(pos + 2, pos + 2 + bytes[pos + 1]);
+      result.objects.push({ tag: '4F', name: 'Application identifier', value: atrHex(value) });
+      pos += 2 + value.length;
+      continue;
+    }
+
+    const tag = bytes[pos] >> 4;
+    const len = bytes[pos] & 0x0F;
+    const value = bytes.slice(pos + 1, pos + 1 + len);
+    if (value.length < len) {
+      result.error = 'Compact-TLV object overruns the historical bytes';
+      break;
+    }
+    const object = { tag: tag.toString(16).toUpperCase(), name: COMPACT_TLV_TAGS[tag] || 'RFU', value: atrHex(value) };
+    const decoded = decodeCompactTlv(tag, value);
+    if (decoded) object.decoded = decoded;
+    result.objects.push(object);
+    if (tag === 0x8) result.status = decoded;
+    pos += 1 + len;
+  }
+
+  return result;
+}
+
+function decodeCompactTlv(tag, value) {
+  if (tag === 0x3 && value.length >= 1) return decodeCardServiceData(value[0]);
+  if (tag === 0x7 && value.length >= 1) return decodeCardCapabilities(value);
+  if (tag === 0x8) return decodeStatusIndicator(value);
+  return null;
+}
+
+function decodeCardServiceData(b) {
+  // b4-b2: how EF.DIR / EF.ATR are read
+  const access = { 0x4: 'READ BINARY', 0x0: 'READ RECORD(S)', 0x2: 'GET DATA' }[(b >> 1) & 0x07];
+  return {
+    selectionByFullDfName: !!(b & 0x80),
+    selectionByPartialDfName: !!(b & 0x40),
+    efDirBerTlv: !!(b & 0x20),
+    efAtrBerTlv: !!(b & 0x10),
+    efDirAtrAccess: access || 'RFU',
+    masterFile: (b & 0x01) ? 'absent' : 'present',
+  };
+}
+
+function decodeCardCapabilities(value) {
+  const out = {};
+  const s = value[0];
+  out.selectionMethods = [
+    [0x80, 'full DF name'], [0x40, 'partial DF name'], [0x20, 'path'], [0x10, 'file identifier'],
+    [0x08, 'implicit DF'], [0x04, 'short EF identifier'], [0x02, 'record number'], [0x01, 'record identifier'],
+  ].filter(([bit]) => s & bit).map(([, name]) => name);
+  if (value.length >= 2) out.dataCoding = atrHex([value[1]]);
+  if (value.length >= 3) {
+    const c = value[2];
+    out.commandChaining = !!(c & 0x80);
+    out.extendedLength = !!(c & 0x40);
+    out.logicalChannels = (c & 0x07) === 0x07 ? '8 or more' : (c & 0x07) + 1;
+  }
+  return out;
+}
+
+/**
+ * Status indicator: LCS, SW1 SW2, or LCS SW1 SW2.
+ */
+function decodeStatusIndicator(value) {
+  const out = {};
+  let sw = value;
+  if (value.length === 1 || value.length === 3) {
+    const lcs = value[0];
+    out.lifeCycle = LIFE_CYCLE_STATES[lcs] || (lcs >= 0x0C && lcs <= 0x0F ? 'Termination' : 'Proprietary 0x' + atrHex([lcs]));
+    sw = value.slice(1);
+  }
+  if (sw.length === 2) out.sw = atrHex(sw);
+  return out;
+}
@@ -5,7 +5,8 @@
  * or SCardStatus polling, depending on settings.
  */
 
-importScripts('pcsc-client.js');
+importScripts('pcsc-client.js', 'pcsc-simulator.js', 'atr.js', 'atr-database.js', 'payload-template.js', 'mifare.js', 'ndef.js', 'apdu.js', 'apdu-scripts.js', 'reader-feedback.js', 'response-actions.js',
+  'history-store.js', 'uid-format.js', 'routing.js', 'ws-transport.js', 'page-bridge.js');
 
 // --- State ---
 
@@ -13,15 +14,35 @@ let client = null;
 let running = false;
 let currentState = {
   status: 'initializing', // initializing | connecting | ready | card | error
-  readerName: null,
+  readerName: null,     // reader of the most recent card event
   cardUid: null,
   cardAtr: null,
-  cardInfo: null,       // { cardType, standard, cardName, rid, historicalBytes }
+  cardInfo: null,       // { cardType, standard, cardName, rid, historicalBytes, atrMatches }
+  cardAtrDetails: null, // decodeAtr output: protocol parameters, TCK, historical objects
+  cardNdef: null,       // { version, size, writable, records } for NDEF-formatted Type 2 tags
+  readers: {},          // readerName -> { status: 'empty' | 'card' | 'mute' | 'unavailable', cardUid, cardAtr, cardInfo }
   error: null,
-  apiRequest: null,     // { url, headers, body, timestamp }
+  apiRequest: null,     // { url, method, headers, body, cardUid, timestamp }
   apiResponse: null,    // { status, statusText, headers, body, duration, timestamp } or { error, duration, timestamp }
+  inFlight: [],         // [{ id, url, method, cardUid, waiting, startedAt }] HTTP requests not yet answered
+  responseAction: null, // { display, result, cardUid, reader, timestamp } from the last response, see response-actions.js
+  wsStatus: null,       // { state, url, since, retryAt, error } while the WebSocket transport is on
+  wsMessages: [],       // [{ timestamp, message }] inbound server messages, newest last
+  queue: [],            // offline delivery queue entries, see deliveryQueue
+  provisioning: {       // NDEF provisioning mode, see armProvisioning
+    armed: false,
+    records: [],        // [{ type: 'uri' | 'text' | 'json' | 'endpoint', value, lang }]
+    lock: false,
+    repeat: false,      // stay armed after a successful write
+    reader: null,       // only write tags on this reader (null = any)
+    lastResult: null,   // { uid, reader, success, locked, unlockedPages, bytesWritten, error, timestamp }
+  },
 };
 
+// Most recent card as returned by readCardData, including anything read
+// from its memory. Used for resends and the payload preview.
+let lastCard = null;
+
 // Rolling debug event log (last 50 entries)
 const MAX_LOG_ENTRIES = 50;
 let debugLog = [];
@@ -39,240 +60,1956 @@ function addLog(level, message, detail) {
   chrome.runtime.sendMessage({ type: 'logUpdate', log: debugLog }).catch(() => {});
 }
 
-let settings = {
+const DEFAULT_SETTINGS = {
   detectionMode: 'event',  // 'event' or 'poll'
   endpointUrl: '',
+  transport: 'http',       // 'http' (one request per read) | 'websocket'
+  wsUrl: '',               // ws:// or wss:// URL for the WebSocket transport
   venueId: '',
   clientId: '',
+  authMode: 'none',        // 'none' | 'bearer' | 'apiKey' | 'hmac'
+  authToken: '',           // bearer token
+  apiKeyHeader: 'X-API-Key',
+  apiKeyValue: '',
+  hmacSecret: '',
+  hmacKeyId: '',           // optional, sent as X-Key-Id so the server can pick the secret
+  httpMethod: 'POST',      // 'POST' | 'PUT' | 'PATCH'
+  requestTimeoutSeconds: 10, // abort HTTP requests after this long, 0 = never
+  deliveryMode: 'blocking',  // 'blocking' (detection waits for the endpoint) | 'async'
+  maxInFlightRequests: 4,    // HTTP requests outstanding at once; more wait for a slot
+  payloadTemplate: '',     // JSON template text, empty = built-in body
+  staticFields: '',        // JSON object text merged into every payload
+  // UID as sent in card_id_formatted / {{uidFormatted}}, see uid-format.js
+  uidEncoding: 'hex',      // 'hex' | 'decimal' | 'wiegand26' | 'wiegand34'
+  uidReverse: false,       // reverse the byte order
+  uidSeparator: ':',       // between hex bytes or Wiegand facility code and card number
+  uidTruncate: 0,          // keep the first 4 or 7 bytes, 0 = all
+  cooldownSeconds: 0,      // ignore the same UID for this long after a read, 0 = off
+  repeatMode: 'ignore',    // 'ignore' | 'event' — what to do with reads inside the cooldown
+  mifareReads: '',         // JSON array of MIFARE Classic block reads, see mifare.js
+  apduScripts: '',         // JSON array of on-detect APDU scripts, see apdu-scripts.js
+  routingRules: '',        // JSON array of per-card endpoint rules, see routing.js
+  ndefEnabled: true,       // read NDEF messages from Type 2 tags
+  atrDetailsInPayload: false, // add the decoded ATR to the default body as card_atr_details
+  provisioningUrl: '',     // endpoint returning JSON for "fetch from endpoint" NDEF records
+  feedbackEnabled: false,  // blink/beep the reader on request outcomes, see reader-feedback.js
+  feedbackDevice: 'auto',  // 'auto' | 'acr122' | 'acr1252'
+  feedbackProfiles: '',    // JSON object of per-outcome profiles, empty = defaults
+  // Desktop notifications, per event
+  notifyCardRead: false,
+  notifyHttpError: false,      // non-2xx response
+  notifyNetworkError: false,   // request failed without a response
+  notifyConnectionLost: false, // monitoring loop died and is being restarted
+  notifyReaderRemoved: false,
+  historyMaxDays: 30,          // scan history retention, 0 = keep forever
+  historyMaxEntries: 10000,    // 0 = no limit
+  bridgeOrigins: '',           // web app origins allowed to use the page bridge, one per line
+  pcscBackend: 'connector',    // 'connector' (Smart Card Connector) | 'simulator' (development)
+  simulatorScenario: '',       // JSON readers and timeline for the simulator, see pcsc-simulator.js
 };
 
+// Settings that must never leave the service worker (not even to the popup)
+const SECRET_SETTINGS = ['authToken', 'apiKeyValue', 'hmacSecret', 'mifareReads', 'apduScripts', 'routingRules'];
+
+let settings = { ...DEFAULT_SETTINGS };
+
 const POLL_INTERVAL_MS = 1500;
 const STATUS_CHANGE_TIMEOUT = 60000; // 60s per SCardGetStatusChange call, then re-call
 
 // --- Settings ---
+//
+// Effective settings are, in order of precedence: enterprise policy
+// (chrome.storage.managed, see managed_schema.json), the options page
+// (chrome.storage.local), then DEFAULT_SETTINGS.
+
+let managedSettings = {}; // settings currently set by policy
+
+async function loadManagedSettings() {
+  let managed = {};
+  try {
+    managed = await chrome.storage.managed.get(null);
+  } catch (e) {
+    // No policy support on this platform — treat as unmanaged
+    console.log('[bg] Managed storage unavailable:', e.message);
+  }
+  const out = {};
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (managed[key] !== undefined) out[key] = managed[key];
+  }
+  return out;
+}
+
+async function loadSettings() {
+  const stored = await chrome.storage.local.get(Object.keys(DEFAULT_SETTINGS));
+  managedSettings = await loadManagedSettings();
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    settings[key] = managedSettings[key] ?? stored[key] ?? DEFAULT_SETTINGS[key];
+  }
+  if (Object.keys(managedSettings).length > 0) {
+    addLog('info', 'Settings managed by policy: ' + Object.keys(managedSettings).join(', '));
+  }
+
+  // Generate client ID on first run
+  if (!stored.clientId && !managedSettings.clientId) {
+    settings.clientId = crypto.randomUUID();
+    await chrome.storage.local.set({ clientId: settings.clientId });
+    console.log('[bg] Generated new client ID:', settings.clientId);
+  }
+}
+
+/**
+ * Settings as exposed to extension pages, with credentials removed.
+ */
+function publicSettings() {
+  const copy = { ...settings };
+  for (const key of SECRET_SETTINGS) delete copy[key];
+  return copy;
+}
+
+/**
+ * Apply a chrome.storage change to the effective settings. Local changes
+ * to a policy-set key are ignored; a removed policy falls back to the
+ * local value.
+ */
+async function applySettingChanges(changes, area) {
+  const keys = Object.keys(changes).filter(key => key in DEFAULT_SETTINGS);
+  if (area === 'local') {
+    for (const key of keys) {
+      if (key in managedSettings) continue;
+      settings[key] = changes[key].newValue ?? DEFAULT_SETTINGS[key];
+    }
+    return;
+  }
+
+  const local = await chrome.storage.local.get(keys);
+  for (const key of keys) {
+    const value = changes[key].newValue;
+    if (value !== undefined) {
+      managedSettings[key] = value;
+      settings[key] = value;
+    } else {
+      delete managedSettings[key];
+      settings[key] = local[key] ?? DEFAULT_SETTINGS[key];
+    }
+  }
+  if (keys.length > 0) addLog('info', 'Policy changed: ' + keys.join(', '));
+}
+
+// React to settings and policy changes — restart the monitoring loop if
+// the detection mode changed
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== 'local' && area !== 'managed') return;
+  const detectionMode = settings.detectionMode;
+  await applySettingChanges(changes, area);
+
+  if (changes[ATR_DATABASE_KEY] && area === 'local') {
+    atrDatabase = null; // recompiled on the next card
+  }
+
+  if (changes.pcscBackend || changes.simulatorScenario) {
+    // Start over with a fresh simulator (or the real connector)
+    pcscSimulator = null;
+    if (sideClient) { sideClient.dispose(); sideClient = null; }
+    restart();
+  } else if (settings.detectionMode !== detectionMode) {
+    console.log('[bg] Detection mode changed to:', settings.detectionMode);
+    restart();
+  }
+
+  // The hello message carries the venue and credentials, so reconnect
+  const wsKeys = ['venueId', 'authMode', 'authToken', 'apiKeyHeader', 'apiKeyValue', 'hmacSecret', 'hmacKeyId'];
+  syncWsTransport(wsKeys.some(key => changes[key]));
+
+  if (changes.bridgeOrigins) syncBridge();
+});
+
+// --- Broadcast state to popup ---
+
+function updateState(patch) {
+  Object.assign(currentState, patch);
+  // Broadcast to any open popups / extension pages
+  chrome.runtime.sendMessage({ type: 'stateUpdate', state: currentState }).catch(() => {
+    // No listeners — that's fine, popup may not be open
+  });
+}
+
+// Popup requests current state, debug log, or resend
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.type === 'getState') {
+    sendResponse({ state: currentState, settings: publicSettings(), log: debugLog });
+    return false;
+  }
+  if (msg.type === 'getLog') {
+    sendResponse({ log: debugLog });
+    return false;
+  }
+  if (msg.type === 'resendRequest') {
+    // Resend with optional overrides: { url, body, route }. WebSocket
+    // events only go over the configured connection, so another ws:// URL
+    // cannot be resent to
+    if (/^wss?:/i.test(msg.url || '') && msg.url !== settings.wsUrl) {
+      const error = 'WebSocket events can only be resent to the configured WebSocket URL' +
+        (settings.wsUrl ? ' (' + settings.wsUrl + ')' : '');
+      addLog('warn', 'Resend not sent: ' + error);
+      sendResponse({ ok: false, error });
+      return false;
+    }
+    const card = {
+      ...(lastCard || { reader: null, atr: null, cardInfo: null }),
+      uid: (msg.body && msg.body.card_id) || (lastCard && lastCard.uid) || 'unknown',
+    };
+    addLog('info', 'Resend triggered from popup');
+    callEndpoint(card, { url: msg.url, body: msg.body, route: msg.route || null });
+    sendResponse({ ok: true });
+    return false;
+  }
+  if (msg.type === 'previewPayload') {
+    // Render the payload for the current card, or a sample card if none
+    // as the first target of its routing rule would receive it
+    const card = lastCard || SAMPLE_CARD;
+    const target = resolveTargets(card)[0];
+    sendResponse({
+      method: (target && target.method) || settings.httpMethod || 'POST',
+      body: buildRequestBody(card, target && target.template, target && target.uidFormat),
+      sample: card === SAMPLE_CARD,
+      rule: target && target.route ? target.route.rule : null,
+    });
+    return false;
+  }
+  if (msg.type === 'armProvisioning') {
+    const error = armProvisioning(msg);
+    sendResponse(error ? { ok: false, error } : { ok: true });
+    return false;
+  }
+  if (msg.type === 'cancelProvisioning') {
+    updateState({ provisioning: { ...currentState.provisioning, armed: false } });
+    addLog('info', 'Provisioning cancelled');
+    sendResponse({ ok: true });
+    return false;
+  }
+  if (msg.type === 'sendApdu') {
+    runConsoleApdu(msg.reader, msg.apdu).then(sendResponse);
+    return true;
+  }
+  if (msg.type === 'getApduHistory') {
+    sendResponse({ history: apduHistory });
+    return false;
+  }
+  if (msg.type === 'clearApduHistory') {
+    apduHistory = [];
+    sendResponse({ ok: true });
+    return false;
+  }
+  if (msg.type === 'cancelRequest') {
+    sendResponse({ ok: cancelRequest(msg.id) });
+    return false;
+  }
+  if (msg.type === 'retryQueued') {
+    retryQueued(msg.id).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+  if (msg.type === 'discardQueued') {
+    discardQueued(msg.id).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+  if (msg.type === 'clearLog') {
+    debugLog = [];
+    sendResponse({ ok: true });
+    return false;
+  }
+});
+
+// --- Per-reader state ---
+
+const EMPTY_READER = { status: 'empty', cardUid: null, cardAtr: null, cardInfo: null };
+
+/**
+ * Overall status derived from the per-reader map: 'card' if any reader
+ * holds a card, otherwise 'ready'.
+ */
+function aggregateStatus(readers) {
+  return Object.values(readers).some(r => r.status === 'card') ? 'card' : 'ready';
+}
+
+/**
+ * Replace the set of tracked readers, keeping card state for readers that
+ * are still attached and dropping the rest.
+ */
+function syncReaders(readerNames) {
+  const known = Object.keys(currentState.readers);
+  if (known.length === readerNames.length && readerNames.every(n => currentState.readers[n])) {
+    return;
+  }
+
+  const readers = {};
+  for (const name of readerNames) {
+    if (!currentState.readers[name]) {
+      console.log('[bg] Reader attached:', name);
+      addLog('info', 'Reader attached: ' + name);
+    }
+    readers[name] = currentState.readers[name] || { ...EMPTY_READER };
+  }
+  for (const name of known) {
+    if (!readers[name]) {
+      console.log('[bg] Reader removed:', name);
+      addLog('warn', 'Reader removed: ' + name);
+      releaseConsoleCard(name);
+      announceCardRemoved(name);
+      if (settings.notifyReaderRemoved) showNotification('reader:' + name, 'Reader unplugged', name);
+    }
+  }
+
+  const patch = { readers, status: aggregateStatus(readers), error: null };
+  if (currentState.readerName && !readers[currentState.readerName]) {
+    Object.assign(patch, { readerName: null, cardUid: null, cardAtr: null, cardInfo: null, cardAtrDetails: null, cardNdef: null });
+    lastCard = null;
+  }
+  updateState(patch);
+}
+
+/**
+ * Record a card on a reader. The card also becomes the "current" card
+ * shown at the top of the popup.
+ * @param {object} card - as returned by readCardData
+ */
+function setReaderCard(card) {
+  lastCard = card;
+  const readers = {
+    ...currentState.readers,
+    [card.reader]: { status: 'card', cardUid: card.uid, cardAtr: card.atr, cardInfo: card.cardInfo },
+  };
+  updateState({
+    status: 'card',
+    readers,
+    readerName: card.reader,
+    cardUid: card.uid,
+    cardAtr: card.atr,
+    cardInfo: card.cardInfo,
+    cardAtrDetails: card.atrDetails,
+    cardNdef: card.ndef,
+    error: null,
+    apiRequest: null,
+    apiResponse: null,
+    responseAction: null,
+  });
+  broadcastBridge({
+    type: 'cardPresent',
+    reader: card.reader,
+    uid: card.uid,
+    atr: card.atr,
+    cardInfo: card.cardInfo,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Mark a reader as holding no readable card: 'empty' after the card was
+ * removed, or 'mute' / 'unavailable' as reported by PC/SC.
+ */
+function clearReaderCard(readerName, status = 'empty') {
+  announceCardRemoved(readerName);
+  const readers = { ...currentState.readers, [readerName]: { ...EMPTY_READER, status } };
+  const patch = { readers, status: aggregateStatus(readers), error: null };
+  if (currentState.readerName === readerName) {
+    Object.assign(patch, { cardUid: null, cardAtr: null, cardInfo: null, cardAtrDetails: null, cardNdef: null });
+    lastCard = null;
+  }
+  updateState(patch);
+  releaseConsoleCard(readerName);
+}
+
+// Tell bridge subscribers if the reader was holding a card
+function announceCardRemoved(readerName) {
+  const r = currentState.readers[readerName];
+  if (!r || r.status !== 'card') return;
+  broadcastBridge({ type: 'cardRemoved', reader: readerName, uid: r.cardUid, timestamp: new Date().toISOString() });
+}
+
+function readerStatus(readerName) {
+  const r = currentState.readers[readerName];
+  return r ? r.status : null;
+}
+
+function readerHasCard(readerName) {
+  return readerStatus(readerName) === 'card';
+}
+
+// --- Endpoint call ---
+
+/**
+ * Send a read to its endpoints: the targets of the first matching routing
+ * rule, else the configured endpoint; or resend with a custom url/body.
+ * Resolves to { response, queueId } for the first (primary) target —
+ * queueId is set if the request was queued for retry — or null if there
+ * is no endpoint to send to.
+ * @param {object} card - as returned by readCardData (used to build default body)
+ * @param {object} [overrides] - Optional { url, body, route } for resend
+ */
+async function callEndpoint(card, overrides) {
+  const targets = resolveTargets(card, overrides);
+  if (targets.length === 0) {
+    const msg = 'No endpoint URL configured, skipping API call';
+    console.log('[bg]', msg);
+    addLog('warn', msg);
+    return null;
+  }
+
+  let primary = null;
+  for (const [i, target] of targets.entries()) {
+    const result = await sendToTarget(card, target, overrides, i === 0);
+    if (i === 0) primary = result;
+  }
+  return primary;
+}
+
+/**
+ * Where a read goes: [{ url, method, headers, template, route }] where
+ * route is { rule, target, of } for routed targets and null otherwise. A
+ * resend of a routed request to the same URL goes out as its rule target
+ * does now; an edited URL is a plain direct request.
+ */
+function resolveTargets(card, overrides) {
+  const direct = url => [{
+    url,
+    transport: /^wss?:/i.test(url) ? 'websocket' : 'http',
+    method: null,
+    headers: {},
+    template: null,
+    uidFormat: null,
+    route: null,
+  }];
+  if (overrides && overrides.url) {
+    const target = routeTarget(overrides.route);
+    if (target && target.url === overrides.url) return [{ ...target, route: overrides.route }];
+    if (overrides.route && !target) {
+      addLog('warn', 'Routing rule "' + overrides.route.rule + '" no longer has this target, resending as a direct request');
+    }
+    return direct(overrides.url);
+  }
+
+  const parsed = parseRoutingRules(settings.routingRules);
+  if (parsed.error) {
+    addLog('warn', 'Routing rules invalid, using the endpoint URL: ' + parsed.error);
+  }
+  const rule = parsed.rules ? matchRoute(parsed.rules, card) : null;
+  if (rule) {
+    return rule.targets.map((t, i) => ({ ...t, route: { rule: rule.name, target: i + 1, of: rule.targets.length } }));
+  }
+  const url = settings.transport === 'websocket' ? settings.wsUrl : settings.endpointUrl;
+  return url ? direct(url) : [];
+}
+
+/**
+ * A routing rule target looked up again by rule name and position, so
+ * resends and queued retries pick up edits and no credentials are stored
+ * in the queue. Null if the rule or target is gone.
+ */
+function routeTarget(route) {
+  if (!route) return null;
+  const parsed = parseRoutingRules(settings.routingRules);
+  const rule = parsed.rules && parsed.rules.find(r => r.name === route.rule);
+  return (rule && rule.targets[route.target - 1]) || null;
+}
+
+// Headers a routing rule adds for a target
+function routeHeaders(route) {
+  const target = routeTarget(route);
+  return target ? target.headers : {};
+}
+
+/**
+ * Send one request. Only the primary target's response drives the popup
+ * message, reader feedback and notifications of response actions; every
+ * target is queued for retry on its own.
+ */
+async function sendToTarget(card, target, overrides, primary) {
+  const url = target.url;
+  const ws = target.transport === 'websocket';
+  const body = (overrides && overrides.body) || buildRequestBody(card, target.template, target.uidFormat);
+  const method = ws ? 'WS' : target.method || settings.httpMethod || 'POST';
+
+  // WebSocket events carry no headers; credentials went in the hello message
+  const bodyText = JSON.stringify(body);
+  const requestHeaders = ws ? {} : { ...(await buildRequestHeaders(bodyText)), ...target.headers };
+
+  // What the popup sees — credentials masked
+  const apiRequest = {
+    url,
+    method,
+    headers: redactHeaders(requestHeaders, Object.keys(target.headers)),
+    body,
+    cardUid: card.uid,
+    route: target.route,
+    transport: target.transport,
+    timestamp: new Date().toISOString(),
+  };
+  updateState(primary ? { apiRequest, apiResponse: null, responseAction: null } : { apiRequest, apiResponse: null });
+  const via = target.route
+    ? ' (rule "' + target.route.rule + '"' + (target.route.of > 1 ? ', target ' + target.route.target + '/' + target.route.of : '') + ')'
+    : '';
+  addLog('info', 'Sending ' + method + ' to ' + url + via, body);
+
+  const apiResponse = ws
+    ? await sendWsEvent(body)
+    : await sendRequest({ url, method, headers: requestHeaders, bodyText, cardUid: card.uid });
+  updateState({ apiResponse });
+
+  if (apiResponse.error) {
+    console.warn('[bg] API call failed:', apiResponse.error);
+    addLog(apiResponse.cancelled ? 'warn' : 'error', 'Request failed: ' + apiResponse.error);
+    if (settings.notifyNetworkError && !apiResponse.cancelled) {
+      showNotification('request', 'Request failed', cardLabel(card) + ': ' + apiResponse.error);
+    }
+  } else {
+    console.log('[bg] API response:', apiResponse.status, apiResponse.body);
+    addLog(
+      apiResponse.status >= 200 && apiResponse.status < 300 ? 'info' : 'warn',
+      `Response: ${apiResponse.status} ${apiResponse.statusText} (${apiResponse.duration}ms)`,
+      apiResponse.body
+    );
+    if (settings.notifyHttpError && (apiResponse.status < 200 || apiResponse.status >= 300)) {
+      showNotification('request', 'HTTP ' + apiResponse.status + ' ' + apiResponse.statusText,
+        cardLabel(card) + ' was not accepted by ' + url);
+    }
+  }
+
+  if (primary) {
+    const ok = !apiResponse.error && apiResponse.status >= 200 && apiResponse.status < 300;
+    const parsed = parseResponseActions(apiResponse.body);
+    if (parsed) applyResponseActions(card, parsed);
+    const outcome = responseFeedbackOutcome(parsed && parsed.actions, ok);
+    if (outcome) signalFeedback(card.reader, outcome);
+  }
+
+  // A request cancelled from the popup is not retried
+  let queueId = null;
+  if (isRetryable(apiResponse) && !apiResponse.cancelled) {
+    queueId = await enqueueDelivery(apiRequest, apiResponse);
+    if (primary) signalFeedback(card.reader, 'queued');
+  }
+  return { response: apiResponse, queueId };
+}
+
+/**
+ * Route the actions in a response to the popup and a desktop
+ * notification. Reader feedback is signalled by the caller.
+ * @param {object} card - the card the request was for
+ * @param {object} parsed - parseResponseActions output
+ */
+function applyResponseActions(card, { actions, errors }) {
+  if (errors.length > 0) addLog('warn', 'Ignored response actions: ' + errors.join('; '));
+
+  if (actions.display || (actions.result && actions.result !== 'info')) {
+    updateState({
+      responseAction: {
+        display: actions.display || null,
+        result: actions.result || null,
+        cardUid: card.uid,
+        reader: card.reader,
+        timestamp: new Date().toISOString(),
+      },
+    });
+    addLog(actions.result === 'denied' ? 'warn' : 'info',
+      'Server response: ' + [actions.result, actions.display].filter(Boolean).join(' - '));
+  }
+
+  // Asked for by the server, so not subject to the per-event settings
+  const notification = responseNotification(actions, card.uid);
+  if (notification) showNotification('response', notification.title, notification.message);
+}
+
+/**
+ * Build the request body for a card: the user's payload template if one is
+ * configured, otherwise the built-in card_id/venue_id body. Static fields
+ * from settings are merged on top of object bodies.
+ * @param {object} card - as returned by readCardData
+ * @param {object} [routeTemplate] - a routing target's template
+ * @param {object} [routeUidFormat] - a routing target's uidFormat overrides
+ */
+function buildRequestBody(card, routeTemplate, routeUidFormat) {
+  let body;
+  const parsed = routeTemplate ? { template: routeTemplate } : parseTemplate(settings.payloadTemplate);
+  if (parsed.error) {
+    addLog('warn', 'Payload template invalid, using default body: ' + parsed.error);
+  }
+  const uidFormat = effectiveUidFormat(routeUidFormat);
+  const formatted = formatUid(card.uid, uidFormat);
+
+  if (parsed.template) {
+    body = renderTemplate(parsed.template, templateContext(card, formatted));
+  } else {
+    body = {
+      card_id: card.uid,
+      venue_id: settings.venueId,
+      client_id: settings.clientId,
+      reader_name: card.reader,
+    };
+    // The raw UID stays in card_id; the formatted one is added next to it
+    if (formatted && !isDefaultUidFormat(uidFormat)) {
+      body.card_id_formatted = formatted.value;
+    }
+    if (formatted && formatted.wiegand) {
+      body.card_wiegand = {
+        facility_code: formatted.wiegand.facilityCode,
+        card_number: formatted.wiegand.cardNumber,
+        bits: formatted.wiegand.bits,
+      };
+    }
+    // Include card metadata if available
+    if (card.atr) {
+      body.card_atr = card.atr;
+    }
+    if (card.cardInfo) {
+      const ci = card.cardInfo;
+      if (ci.cardName) body.card_name = ci.cardName;
+      if (ci.standard) body.card_standard = ci.standard;
+      if (ci.cardType) body.card_type = ci.cardType;
+      if (ci.rid) body.card_rid = ci.rid;
+      if (ci.atrMatches) body.card_atr_matches = ci.atrMatches;
+    }
+    if (settings.atrDetailsInPayload && card.atrDetails) {
+      body.card_atr_details = card.atrDetails;
+    }
+    const cardData = { ...card.mifare, ...card.scripts };
+    if (Object.keys(cardData).length > 0) {
+      body.card_data = cardData;
+    }
+    if (card.ndef && card.ndef.records.length > 0) {
+      body.card_ndef = card.ndef.records;
+    }
+  }
+
+  const statics = parseStaticFields(settings.staticFields);
+  if (statics.fields && !Array.isArray(body)) {
+    body = { ...body, ...statics.fields };
+  }
+  return body;
+}
+
+/**
+ * The UID Format setting, with a routing target's overrides on top.
+ */
+function effectiveUidFormat(routeUidFormat) {
+  let parsed = parseUidFormat({
+    encoding: settings.uidEncoding,
+    reverse: settings.uidReverse,
+    separator: settings.uidSeparator,
+    truncate: settings.uidTruncate,
+  });
+  if (parsed.error) {
+    addLog('warn', 'UID format invalid, using colon-separated hex: ' + parsed.error);
+    parsed = { format: DEFAULT_UID_FORMAT };
+  }
+  return routeUidFormat ? parseUidFormat(routeUidFormat, parsed.format).format : parsed.format;
+}
+
+/**
+ * Values available to {{placeholders}} in payload templates.
+ * @param {object} card - as returned by readCardData
+ * @param {object|null} formatted - formatUid() output for the card
+ */
+function templateContext(card, formatted) {
+  return {
+    uid: card.uid,
+    uidFormatted: formatted ? formatted.value : null,
+    wiegand: formatted ? formatted.wiegand : null,
+    atr: card.atr,
+    cardInfo: card.cardInfo,
+    atrDetails: card.atrDetails,
+    mifare: card.mifare || {},
+    scripts: card.scripts || {},
+    ndef: card.ndef ? card.ndef.records : [],
+    reader: card.reader,
+    timestamp: new Date().toISOString(),
+    venueId: settings.venueId,
+    clientId: settings.clientId,
+  };
+}
+
+// Card used for the payload preview when no card is on a reader
+const SAMPLE_ATR = [0x3B, 0x8F, 0x80, 0x01, 0x80, 0x4F, 0x0C, 0xA0, 0x00, 0x00, 0x03, 0x06,
+  0x03, 0x00, 0x03, 0x00, 0x00, 0x00, 0x00, 0x68];
+const SAMPLE_CARD = {
+  reader: 'Sample Reader 00 00',
+  uid: '04:A2:3B:C4:5D:80',
+  atr: bytesToHex(SAMPLE_ATR),
+  cardInfo: parseAtr(SAMPLE_ATR),
+  atrDetails: decodeAtr(SAMPLE_ATR),
+  mifare: null,
+  scripts: null,
+  ndef: {
+    version: '1.0',
+    size: 144,
+    writable: true,
+    records: [{ tnf: 'well-known', type: 'U', recordType: 'uri', uri: 'https://example.com/m/12345' }],
+  },
+};
+
+// --- In-flight requests ---
+//
+// Every HTTP request, live or a queue retry, goes through sendRequest. It
+// holds one of maxInFlightRequests slots while outstanding (requests over
+// the limit wait for one, oldest first), is aborted after
+// requestTimeoutSeconds, and is listed in currentState.inFlight so the
+// popup can cancel it.
+
+let nextRequestId = 1;
+const inFlightRequests = new Map(); // id -> { info, controller }
+let requestSlotWaiters = [];         // [{ id, resolve }], oldest first
+let activeRequests = 0;
+
+function requestLimit() {
+  const n = Number(settings.maxInFlightRequests);
+  return Number.isInteger(n) && n > 0 ? n : DEFAULT_SETTINGS.maxInFlightRequests;
+}
+
+function publishInFlight() {
+  updateState({ inFlight: Array.from(inFlightRequests.values(), r => r.info) });
+}
+
+/**
+ * Resolves true once the request holds a slot, or false if it was
+ * cancelled while waiting.
+ */
+function acquireRequestSlot(id) {
+  if (activeRequests < requestLimit()) {
+    activeRequests++;
+    return Promise.resolve(true);
+  }
+  return new Promise(resolve => requestSlotWaiters.push({ id, resolve }));
+}
+
+function releaseRequestSlot() {
+  activeRequests--;
+  while (requestSlotWaiters.length > 0 && activeRequests < requestLimit()) {
+    activeRequests++;
+    requestSlotWaiters.shift().resolve(true);
+  }
+}
+
+/**
+ * Cancel an outstanding or waiting request. Returns false if it already
+ * finished.
+ */
+function cancelRequest(id) {
+  const request = inFlightRequests.get(id);
+  if (!request) return false;
+  const waiter = requestSlotWaiters.find(w => w.id === id);
+  if (waiter) {
+    requestSlotWaiters = requestSlotWaiters.filter(w => w !== waiter);
+    waiter.resolve(false);
+  } else {
+    request.controller.abort('cancelled');
+  }
+  addLog('warn', 'Request to ' + request.info.url + ' cancelled from the popup');
+  return true;
+}
+
+/**
+ * Perform a single request with an already-serialized body.
+ * Never throws: returns { status, statusText, headers, body, duration, timestamp }
+ * or { error, duration, timestamp } on network failure, timeout or
+ * cancellation (the latter also with cancelled: true).
+ * @param {object} request - { url, method, headers, bodyText, cardUid }
+ */
+async function sendRequest(request) {
+  const id = nextRequestId++;
+  const controller = new AbortController();
+  const tracked = {
+    controller,
+    info: {
+      id,
+      url: request.url,
+      method: request.method || 'POST',
+      cardUid: request.cardUid || null,
+      waiting: true,
+      startedAt: null,
+    },
+  };
+  inFlightRequests.set(id, tracked);
+  publishInFlight();
+
+  if (!(await acquireRequestSlot(id))) {
+    inFlightRequests.delete(id);
+    publishInFlight();
+    return { error: 'Cancelled', cancelled: true, duration: 0, timestamp: new Date().toISOString() };
+  }
+  tracked.info = { ...tracked.info, waiting: false, startedAt: new Date().toISOString() };
+  publishInFlight();
+
+  const startTime = performance.now();
+  const timeoutSeconds = Number(settings.requestTimeoutSeconds) || 0;
+  const timer = timeoutSeconds > 0 ? setTimeout(() => controller.abort('timeout'), timeoutSeconds * 1000) : null;
+
+  try {
+    const resp = await fetch(request.url, {
+      method: request.method || 'POST',
+      headers: request.headers,
+      body: request.bodyText,
+      signal: controller.signal,
+    });
+
+    const duration = Math.round(performance.now() - startTime);
+
+    // A body that claims to be JSON but does not parse is kept as text:
+    // the server has answered, so this must not look like a failed request
+    const contentType = resp.headers.get('content-type') || '';
+    let respBody = await resp.text();
+    if (contentType.includes('application/json')) {
+      try {
+        respBody = JSON.parse(respBody);
+      } catch (_) {}
+    }
+
+    // Collect response headers
+    const respHeaders = {};
+    resp.headers.forEach((value, key) => {
+      respHeaders[key] = value;
+    });
+
+    return {
+      status: resp.status,
+      statusText: resp.statusText,
+      headers: respHeaders,
+      body: respBody,
+      duration,
+      timestamp: new Date().toISOString(),
+    };
+  } catch (e) {
+    // An aborted fetch rejects with the abort reason
+    const reason = controller.signal.aborted ? controller.signal.reason : null;
+    return {
+      error: reason === 'timeout' ? 'Timed out after ' + timeoutSeconds + 's'
+        : reason === 'cancelled' ? 'Cancelled'
+        : e.message,
+      ...(reason === 'cancelled' ? { cancelled: true } : {}),
+      duration: Math.round(performance.now() - startTime),
+      timestamp: new Date().toISOString(),
+    };
+  } finally {
+    clearTimeout(timer);
+    inFlightRequests.delete(id);
+    releaseRequestSlot();
+    publishInFlight();
+  }
+}
+
+// --- WebSocket transport ---
+//
+// With transport set to 'websocket', reads that no routing rule claims go
+// over one persistent connection (see ws-transport.js) instead of an HTTP
+// request each. Acks are reported like HTTP responses, so the debug panel,
+// response actions, queue and history work unchanged.
+
+const MAX_WS_MESSAGES = 50;
+let wsTransport = null;
+
+/**
+ * Open, replace or close the connection to match the settings. force
+ * reconnects even if the URL is unchanged.
+ */
+function syncWsTransport(force = false) {
+  const url = settings.transport === 'websocket' ? settings.wsUrl : '';
+  if (wsTransport && wsTransport.url === url && !force) return;
+  if (wsTransport) {
+    wsTransport.close();
+    wsTransport = null;
+  }
+  if (!url) {
+    updateState({ wsStatus: null });
+    return;
+  }
+
+  wsTransport = new WsTransport(url, {
+    hello: wsHello,
+    onStatus: (status) => {
+      updateState({ wsStatus: status });
+      if (status.state === 'open') addLog('info', 'WebSocket connected to ' + status.url);
+      if (status.state === 'reconnecting') {
+        addLog('warn', 'WebSocket disconnected (' + status.error + '), reconnecting at ' + status.retryAt);
+      }
+    },
+    onMessage: onWsMessage,
+  });
+  wsTransport.open();
+}
+
+/**
+ * First message on every connection. auth holds the same headers an HTTP
+ * request would carry; in HMAC mode the signed body is the client ID.
+ */
+async function wsHello() {
+  const auth = await buildRequestHeaders(settings.clientId);
+  delete auth['Content-Type'];
+  return { type: 'hello', client_id: settings.clientId, venue_id: settings.venueId, auth };
+}
+
+/**
+ * Send one event and report the ack in the shape of a sendRequest
+ * response: status from the ack (default 200), body from ack.body.
+ */
+async function sendWsEvent(body) {
+  const startTime = performance.now();
+  try {
+    if (!wsTransport) throw new Error('WebSocket transport is off');
+    const ack = await wsTransport.send(body);
+    return {
+      status: Number.isInteger(ack.status) ? ack.status : 200,
+      statusText: 'ACK',
+      headers: {},
+      body: ack.body ?? null,
+      duration: Math.round(performance.now() - startTime),
+      timestamp: new Date().toISOString(),
+    };
+  } catch (e) {
+    return {
+      error: e.message,
+      duration: Math.round(performance.now() - startTime),
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+/**
+ * Server-pushed message: kept for the popup, and display / result / sound
+ * / notify in it are applied like a response's.
+ */
+function onWsMessage(message) {
+  const wsMessages = [...currentState.wsMessages, { timestamp: new Date().toISOString(), message }];
+  updateState({ wsMessages: wsMessages.slice(-MAX_WS_MESSAGES) });
+  addLog('info', 'Server message', message);
+
+  const parsed = parseResponseActions(message);
+  if (!parsed) return;
+  const reader = currentState.readerName;
+  applyResponseActions({ uid: currentState.cardUid, reader }, parsed);
+  if (parsed.actions.sound || parsed.actions.result) {
+    const outcome = responseFeedbackOutcome(parsed.actions, true);
+    if (outcome) signalFeedback(reader, outcome);
+  }
+}
+
+/**
+ * Whether a failed delivery is worth retrying: no answer at all (network
+ * errors, timeouts), 5xx, 408 Request Timeout and 429 Too Many Requests.
+ * Other 4xx responses are the server rejecting the read and would fail
+ * again.
+ */
+function isRetryable(response) {
+  if (response.status === undefined) return true;
+  return response.status >= 500 || response.status === 408 || response.status === 429;
+}
+
+function describeFailure(response) {
+  return response.error || `${response.status} ${response.statusText}`;
+}
+
+// --- Desktop notifications ---
+//
+// One notification per id: a new card read replaces the previous one
+// rather than stacking. Clicking any of them opens the popup.
+
+function showNotification(id, title, message) {
+  chrome.notifications.create(id, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title,
+    message,
+  }).catch(e => console.warn('[bg] Notification failed:', e.message));
+}
+
+function cardLabel(card) {
+  return (card.uid || 'Card') + (card.reader ? ' on ' + card.reader : '');
+}
+
+chrome.notifications.onClicked.addListener(async (id) => {
+  chrome.notifications.clear(id);
+  try {
+    await chrome.action.openPopup();
+  } catch (_) {
+    // openPopup needs a focused browser window; fall back to a tab
+    chrome.tabs.create({ url: chrome.runtime.getURL('popup.html') });
+  }
+});
+
+// --- Duplicate-read suppression ---
+//
+// The time of the read that opened each UID's cooldown window lives in
+// chrome.storage.session so the cooldown survives service worker restarts
+// without writing UIDs to disk. The window runs for cooldownSeconds from
+// that read, whether or not it was delivered; repeats inside it do not
+// extend it. They are logged and either dropped or sent as a lightweight
+// "repeat" event, depending on settings.repeatMode.
+
+const RECENT_READS_KEY = 'recentReads';
+
+/**
+ * Send a freshly detected card to the endpoint unless the same UID was
+ * delivered within the cooldown window.
+ * @param {object} card - as returned by readCardData
+ */
+async function deliverRead(card) {
+  const readAt = new Date().toISOString();
+  // Nothing to send, but the read still shows up in the history
+  if (!card.uid) {
+    recordScan(card, readAt, false, { outcome: 'no-uid', error: 'The card did not return a UID' });
+    return;
+  }
+  if (settings.notifyCardRead) showNotification('card', 'Card read', cardLabel(card));
+
+  const handler = bridgeReadHandler();
+  if (handler) {
+    addLog('info', 'Read of ' + card.uid + ' left to web page ' + handler.origin);
+    recordScan(card, readAt, false, { outcome: 'page' });
+    return;
+  }
+
+  const repeat = await checkCooldown(card.uid);
+  if (!repeat) {
+    recordScan(card, readAt, false, historyOutcome(await callEndpoint(card)));
+    return;
+  }
+
+  const ago = Math.round((Date.now() - repeat.lastReadAt) / 1000);
+  addLog('info', `Suppressed repeat read of ${card.uid} (${ago}s after last read)`, {
+    reader: card.reader,
+    repeatCount: repeat.repeatCount,
+    cooldownSeconds: Number(settings.cooldownSeconds),
+  });
+
+  if (settings.repeatMode !== 'event') {
+    recordScan(card, readAt, true, { outcome: 'suppressed' });
+    return;
+  }
+
+  const result = await callEndpoint(card, {
+    body: {
+      event: 'repeat',
+      card_id: card.uid,
+      venue_id: settings.venueId,
+      client_id: settings.clientId,
+      reader_name: card.reader,
+      last_read_at: new Date(repeat.lastReadAt).toISOString(),
+      repeat_count: repeat.repeatCount,
+    },
+  });
+  recordScan(card, readAt, true, historyOutcome(result));
+}
+
+/**
+ * Record a read of uid. Returns null if it starts a new cooldown window, or
+ * { lastReadAt, repeatCount } if it falls inside the current one, where
+ * lastReadAt is when the read that opened the window happened.
+ */
+async function checkCooldown(uid) {
+  const cooldownMs = Number(settings.cooldownSeconds) * 1000;
+  if (!(cooldownMs > 0)) return null;
+
+  const now = Date.now();
+  const stored = await chrome.storage.session.get(RECENT_READS_KEY);
+  const recent = stored[RECENT_READS_KEY] || {}; // uid -> { at, repeats }
+
+  // Forget reads whose window has passed
+  for (const [key, entry] of Object.entries(recent)) {
+    if (now - entry.at >= cooldownMs) delete recent[key];
+  }
+
+  let repeat = null;
+  if (recent[uid]) {
+    recent[uid].repeats++;
+    repeat = { lastReadAt: recent[uid].at, repeatCount: recent[uid].repeats };
+  } else {
+    recent[uid] = { at: now, repeats: 0 };
+  }
+
+  await chrome.storage.session.set({ [RECENT_READS_KEY]: recent });
+  return repeat;
+}
+
+// --- Request authentication ---
+//
+// HMAC mode signs `${timestamp}.${nonce}.${body}` with HMAC-SHA256 and sends
+// the hex digest in X-Signature. The server should recompute it, reject
+// timestamps outside its clock-skew window and remember nonces inside that
+// window to refuse replays. See README for the header contract.
+
+/**
+ * Build the headers for a POST according to the configured auth mode.
+ * @param {string} bodyText - exact request body (covered by the HMAC signature)
+ */
+async function buildRequestHeaders(bodyText) {
+  const headers = { 'Content-Type': 'application/json' };
+
+  switch (settings.authMode) {
+    case 'bearer':
+      headers['Authorization'] = 'Bearer ' + settings.authToken;
+      break;
+    case 'apiKey':
+      headers[settings.apiKeyHeader || DEFAULT_SETTINGS.apiKeyHeader] = settings.apiKeyValue;
+      break;
+    case 'hmac': {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const nonce = crypto.randomUUID();
+      const signature = await hmacSha256Hex(settings.hmacSecret, `${timestamp}.${nonce}.${bodyText}`);
+      if (settings.hmacKeyId) headers['X-Key-Id'] = settings.hmacKeyId;
+      headers['X-Timestamp'] = timestamp;
+      headers['X-Nonce'] = nonce;
+      headers['X-Signature'] = 'sha256=' + signature;
+      break;
+    }
+  }
+
+  return headers;
+}
+
+// Routing-rule headers whose values are masked in the popup
+const SENSITIVE_HEADER_RE = /auth|key|token|secret|password|cookie/i;
+
+/**
+ * Mask bearer tokens and API keys for display. HMAC headers are left as-is:
+ * the signature is useless without the secret, which is never in a header.
+ * Headers added by a routing rule (routeHeaderNames) are masked when their
+ * name suggests a credential.
+ */
+function redactHeaders(headers, routeHeaderNames = []) {
+  const apiKeyHeader = (settings.apiKeyHeader || DEFAULT_SETTINGS.apiKeyHeader).toLowerCase();
+  const redacted = {};
+  for (const [key, value] of Object.entries(headers)) {
+    const lower = key.toLowerCase();
+    if (lower === 'authorization') {
+      redacted[key] = value.replace(/^(\S+\s+).*$/, '$1••••••');
+    } else if (settings.authMode === 'apiKey' && lower === apiKeyHeader) {
+      redacted[key] = '••••••';
+    } else if (routeHeaderNames.includes(key) && SENSITIVE_HEADER_RE.test(key)) {
+      redacted[key] = '••••••';
+    } else {
+      redacted[key] = value;
+    }
+  }
+  return redacted;
+}
+
+async function hmacSha256Hex(secret, message) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw', enc.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const sig = await crypto.subtle.sign('HMAC', key, enc.encode(message));
+  return Array.from(new Uint8Array(sig))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// --- Offline delivery queue ---
+//
+// Failed deliveries are persisted in chrome.storage.local and retried with
+// exponential backoff. The queue is reloaded when the service worker starts
+// and re-checked on every keepalive alarm, so retries survive restarts.
+// Entries that exhaust their attempts are kept as dead letters until they
+// are retried or discarded from the popup.
+
+const QUEUE_STORAGE_KEY = 'deliveryQueue';
+const QUEUE_MAX_ENTRIES = 500;
+const QUEUE_MAX_ATTEMPTS = 8;
+const QUEUE_BASE_DELAY_MS = 5000;
+const QUEUE_MAX_DELAY_MS = 15 * 60 * 1000;
+
+// [{ id, url, method, body, cardUid, route, transport, createdAt, attempts, nextAttemptAt, lastError, status }]
+// Headers are rebuilt on every attempt so auth signatures stay fresh and
+// credentials are never written to the queue.
+// status: 'pending' | 'dead'
+let deliveryQueue = [];
+let queueLoaded = null;   // Promise resolved once the queue is read from storage
+let queueTimer = null;
+let queueProcessing = false;
+const queueSending = new Set(); // ids of entries with an attempt in progress
+
+function loadQueue() {
+  if (!queueLoaded) {
+    queueLoaded = chrome.storage.local.get(QUEUE_STORAGE_KEY).then((stored) => {
+      deliveryQueue = stored[QUEUE_STORAGE_KEY] || [];
+      updateState({ queue: deliveryQueue });
+    });
+  }
+  return queueLoaded;
+}
+
+async function saveQueue() {
+  await chrome.storage.local.set({ [QUEUE_STORAGE_KEY]: deliveryQueue });
+  updateState({ queue: deliveryQueue });
+  scheduleQueue();
+}
+
+function backoffDelay(attempts) {
+  return Math.min(QUEUE_BASE_DELAY_MS * 2 ** (attempts - 1), QUEUE_MAX_DELAY_MS);
+}
+
+/**
+ * Persist a failed request for later retry. Resolves to the entry's id.
+ */
+async function enqueueDelivery(request, response) {
+  await loadQueue();
+
+  const entry = {
+    id: crypto.randomUUID(),
+    url: request.url,
+    method: request.method,
+    body: request.body,
+    cardUid: request.cardUid,
+    route: request.route || null,
+    transport: request.transport || 'http',
+    createdAt: request.timestamp,
+    attempts: 1,
+    nextAttemptAt: Date.now() + backoffDelay(1),
+    lastError: describeFailure(response),
+    status: 'pending',
+  };
+  deliveryQueue.push(entry);
+
+  // Keep storage bounded — drop dead letters first, then the oldest entries
+  while (deliveryQueue.length > QUEUE_MAX_ENTRIES) {
+    const deadIdx = deliveryQueue.findIndex(e => e.status === 'dead');
+    const dropped = deliveryQueue.splice(deadIdx >= 0 ? deadIdx : 0, 1)[0];
+    addLog('warn', 'Delivery queue full, dropped entry', { id: dropped.id, body: dropped.body });
+  }
+
+  addLog('warn', 'Request queued for retry', {
+    id: entry.id,
+    nextAttemptAt: new Date(entry.nextAttemptAt).toISOString(),
+  });
+  await saveQueue();
+  return entry.id;
+}
+
+/**
+ * Arm a timer for the next pending entry while the worker is alive. If the
+ * worker is suspended first, the keepalive alarm picks the queue up again.
+ */
+function scheduleQueue() {
+  clearTimeout(queueTimer);
+  queueTimer = null;
+  const pending = deliveryQueue.filter(e => e.status === 'pending');
+  if (pending.length === 0) return;
+  const next = Math.min(...pending.map(e => e.nextAttemptAt));
+  queueTimer = setTimeout(processQueue, Math.max(0, next - Date.now()));
+}
+
+/**
+ * Retry one queued entry. Removes it on delivery, otherwise backs off or
+ * dead-letters it once it has used up its attempts.
+ */
+async function attemptDelivery(entry) {
+  const bodyText = JSON.stringify(entry.body);
+  let response;
+  queueSending.add(entry.id);
+  try {
+    response = entry.transport === 'websocket'
+      ? await sendWsEvent(entry.body)
+      : await sendRequest({
+        url: entry.url,
+        method: entry.method,
+        headers: { ...(await buildRequestHeaders(bodyText)), ...routeHeaders(entry.route) },
+        bodyText,
+        cardUid: entry.cardUid,
+      });
+  } finally {
+    queueSending.delete(entry.id);
+  }
+
+  // Cancelled from the popup: a decision, not a failed attempt, so the
+  // entry leaves the queue as if discarded
+  if (response.cancelled) {
+    deliveryQueue = deliveryQueue.filter(e => e.id !== entry.id);
+    addLog('warn', 'Queued request cancelled and removed from the queue', { id: entry.id, attempts: entry.attempts });
+    updateScanHistory(entry.id, { outcome: 'cancelled', error: 'Cancelled during retry' });
+    await saveQueue();
+    return;
+  }
+  entry.attempts++;
+
+  if (!isRetryable(response)) {
+    deliveryQueue = deliveryQueue.filter(e => e.id !== entry.id);
+    addLog(
+      response.status >= 200 && response.status < 300 ? 'info' : 'warn',
+      `Queued request delivered: ${response.status} ${response.statusText} (attempt ${entry.attempts})`,
+      { id: entry.id, body: response.body }
+    );
+    updateScanHistory(entry.id, historyOutcome({ response }));
+  } else if (entry.attempts >= QUEUE_MAX_ATTEMPTS) {
+    entry.status = 'dead';
+    entry.lastError = describeFailure(response);
+    updateScanHistory(entry.id, { outcome: 'failed', error: entry.lastError });
+    addLog('error', 'Queued request dead-lettered after ' + entry.attempts + ' attempts', {
+      id: entry.id,
+      error: entry.lastError,
+    });
+  } else {
+    entry.lastError = describeFailure(response);
+    entry.nextAttemptAt = Date.now() + backoffDelay(entry.attempts);
+    addLog('warn', 'Queued request failed (attempt ' + entry.attempts + '): ' + entry.lastError, {
+      id: entry.id,
+      nextAttemptAt: new Date(entry.nextAttemptAt).toISOString(),
+    });
+  }
+
+  await saveQueue();
+}
+
+/**
+ * Retry every pending entry that is due.
+ */
+async function processQueue() {
+  await loadQueue();
+  if (queueProcessing) return;
+  queueProcessing = true;
+  try {
+    const now = Date.now();
+    const due = deliveryQueue.filter(e => e.status === 'pending' && e.nextAttemptAt <= now);
+    for (const entry of due) {
+      // Skip entries discarded, or being retried from the popup, while we were busy
+      if (!deliveryQueue.includes(entry) || queueSending.has(entry.id)) continue;
+      await attemptDelivery(entry);
+    }
+  } finally {
+    queueProcessing = false;
+    scheduleQueue();
+  }
+}
+
+/**
+ * Popup "retry now" — send one entry immediately, including dead letters.
+ */
+async function retryQueued(id) {
+  await loadQueue();
+  const entry = deliveryQueue.find(e => e.id === id);
+  if (!entry) return;
+  if (queueSending.has(id)) {
+    addLog('info', 'Queued request is already being sent', { id });
+    return;
+  }
+  addLog('info', 'Manual retry of queued request', { id });
+  await attemptDelivery(entry);
+}
+
+async function discardQueued(id) {
+  await loadQueue();
+  deliveryQueue = deliveryQueue.filter(e => e.id !== id);
+  addLog('info', 'Queued request discarded', { id });
+  updateScanHistory(id, { outcome: 'failed', error: 'Discarded from the delivery queue' });
+  await saveQueue();
+}
+
+// --- Scan history ---
+//
+// Every card read and its delivery outcome is kept in IndexedDB (see
+// history-store.js) for the history page. Queued requests update their
+// entry when the retry completes.
+
+/**
+ * History fields for a callEndpoint result (null = nothing was sent).
+ */
+function historyOutcome(result) {
+  if (!result) return { outcome: 'not-sent' };
+  const r = result.response;
+  let outcome;
+  if (result.queueId) outcome = 'queued';
+  else if (r.cancelled) outcome = 'cancelled';
+  else if (r.error) outcome = 'failed';
+  else outcome = r.status >= 200 && r.status < 300 ? 'delivered' : 'rejected';
+  return {
+    outcome,
+    status: r.status ?? null,
+    statusText: r.statusText ?? null,
+    error: r.error || null,
+    duration: r.duration,
+    ...(result.queueId ? { queueId: result.queueId } : {}),
+  };
+}
+
+function recordScan(card, readAt, repeat, fields) {
+  const entry = {
+    timestamp: readAt,
+    uid: card.uid,
+    atr: card.atr,
+    cardInfo: card.cardInfo,
+    reader: card.reader,
+    repeat,
+    status: null,
+    statusText: null,
+    error: null,
+    duration: null,
+    ...fields,
+  };
+  addHistoryEntry(entry)
+    .then(() => pruneHistory(Number(settings.historyMaxDays), Number(settings.historyMaxEntries)))
+    .then(announceHistory)
+    .catch(e => addLog('warn', 'Could not record scan history: ' + e.message));
+}
+
+function updateScanHistory(queueId, patch) {
+  updateHistoryByQueueId(queueId, patch)
+    .then(announceHistory)
+    .catch(e => addLog('warn', 'Could not update scan history: ' + e.message));
+}
+
+// Lets an open history page refresh
+function announceHistory() {
+  chrome.runtime.sendMessage({ type: 'historyUpdated' }).catch(() => {});
+}
+
+// --- Web page bridge ---
+//
+// Allowlisted web apps connect over a runtime port, either directly
+// (externally_connectable) or through bridge-content.js, which is
+// registered here for the allowlisted origins. See page-bridge.js for the
+// protocol.
+
+const bridgePeers = new Map(); // port -> { origin, subscribed, handleReads }
+
+// Registrations run one at a time so overlapping starts don't collide on the script ID
+let bridgeSyncChain = Promise.resolve();
+
+/**
+ * Register the content script for the current allowlist and drop
+ * connected pages that are no longer on it.
+ */
+function syncBridge() {
+  const parsed = parseBridgeOrigins(settings.bridgeOrigins);
+  if (parsed.error) addLog('warn', 'Bridge origins setting invalid: ' + parsed.error);
+  const origins = parsed.origins || [];
+
+  for (const [port, peer] of bridgePeers) {
+    if (!origins.includes(peer.origin)) {
+      port.disconnect();
+      bridgePeers.delete(port);
+      addLog('info', 'Web page disconnected (no longer allowed): ' + peer.origin);
+    }
+  }
+
+  bridgeSyncChain = bridgeSyncChain
+    .then(() => registerBridgeScript(origins))
+    .catch(e => addLog('error', 'Could not register the page bridge script: ' + e.message));
+}
+
+async function registerBridgeScript(origins) {
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [BRIDGE_SCRIPT_ID] });
+  if (registered.length > 0) await chrome.scripting.unregisterContentScripts({ ids: [BRIDGE_SCRIPT_ID] });
+  if (origins.length === 0) return;
+  await chrome.scripting.registerContentScripts([{
+    id: BRIDGE_SCRIPT_ID,
+    js: ['bridge-content.js'],
+    matches: [...new Set(origins.map(bridgeMatchPattern))],
+    runAt: 'document_start',
+    persistAcrossSessions: false,
+  }]);
+}
+
+function acceptBridgePort(port) {
+  const origin = port.sender && port.sender.origin;
+  const parsed = parseBridgeOrigins(settings.bridgeOrigins);
+  if (!origin || !(parsed.origins || []).includes(origin)) {
+    addLog('warn', 'Rejected page bridge connection from ' + (origin || 'unknown origin'));
+    port.disconnect();
+    return;
+  }
+
+  bridgePeers.set(port, { origin, subscribed: false, handleReads: false });
+  port.onMessage.addListener(msg => onBridgeMessage(port, msg));
+  port.onDisconnect.addListener(() => {
+    const peer = bridgePeers.get(port);
+    bridgePeers.delete(port);
+    if (peer && peer.subscribed) addLog('info', 'Web page unsubscribed: ' + peer.origin);
+  });
+}
+
+function onBridgeMessage(port, msg) {
+  const peer = bridgePeers.get(port);
+  if (!peer || !msg || typeof msg !== 'object') return;
+  const reply = payload => postBridge(port, { ...payload, id: msg.id });
+
+  if (msg.type === 'getState') {
+    reply({ type: 'state', ...bridgeState() });
+  } else if (msg.type === 'subscribe') {
+    const changed = !peer.subscribed || peer.handleReads !== !!msg.handleReads;
+    peer.subscribed = true;
+    peer.handleReads = !!msg.handleReads;
+    if (changed) {
+      addLog('info', 'Web page subscribed: ' + peer.origin + (peer.handleReads ? ' (handles reads itself)' : ''));
+    }
+    reply({ type: 'subscribed', handleReads: peer.handleReads });
+  } else if (msg.type === 'unsubscribe') {
+    if (peer.subscribed) addLog('info', 'Web page unsubscribed: ' + peer.origin);
+    peer.subscribed = false;
+    peer.handleReads = false;
+    reply({ type: 'unsubscribed' });
+  } else {
+    reply({ type: 'error', error: 'Unknown message type: ' + msg.type });
+  }
+}
 
-async function loadSettings() {
-  const stored = await chrome.storage.local.get(['detectionMode', 'endpointUrl', 'venueId', 'clientId']);
-  settings.detectionMode = stored.detectionMode || 'event';
-  settings.endpointUrl = stored.endpointUrl || '';
-  settings.venueId = stored.venueId || '';
+// Reader state as exposed to pages: no request details or settings
+function bridgeState() {
+  const readers = {};
+  for (const [name, r] of Object.entries(currentState.readers)) {
+    readers[name] = { status: r.status, uid: r.cardUid, atr: r.cardAtr, cardInfo: r.cardInfo };
+  }
+  return { status: currentState.status, readers };
+}
 
-  // Generate client ID on first run
-  if (!stored.clientId) {
-    settings.clientId = crypto.randomUUID();
-    await chrome.storage.local.set({ clientId: settings.clientId });
-    console.log('[bg] Generated new client ID:', settings.clientId);
-  } else {
-    settings.clientId = stored.clientId;
+function broadcastBridge(event) {
+  for (const [port, peer] of bridgePeers) {
+    if (peer.subscribed) postBridge(port, event);
   }
 }
 
-// React to settings changes — restart the monitoring loop
-chrome.storage.onChanged.addListener((changes, area) => {
-  if (area !== 'local') return;
-  let modeChanged = false;
-  if (changes.detectionMode) {
-    settings.detectionMode = changes.detectionMode.newValue;
-    modeChanged = true;
+function postBridge(port, msg) {
+  try {
+    port.postMessage(msg);
+  } catch (_) {
+    bridgePeers.delete(port); // disconnected; onDisconnect may not have fired yet
   }
-  if (changes.endpointUrl) settings.endpointUrl = changes.endpointUrl.newValue;
-  if (changes.venueId) settings.venueId = changes.venueId.newValue;
-  if (changes.clientId) settings.clientId = changes.clientId.newValue;
+}
 
-  if (modeChanged) {
-    console.log('[bg] Detection mode changed to:', settings.detectionMode);
-    restart();
+// The subscriber that asked to handle reads instead of the endpoint, if any
+function bridgeReadHandler() {
+  for (const peer of bridgePeers.values()) {
+    if (peer.subscribed && peer.handleReads) return peer;
   }
+  return null;
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === BRIDGE_PORT_NAME) acceptBridgePort(port);
 });
+chrome.runtime.onConnectExternal.addListener(acceptBridgePort);
 
-// --- Broadcast state to popup ---
+// --- ATR database ---
+//
+// Imported from the options page (see atr-database.js). Compiled on first
+// use and again after a new file is imported.
 
-function updateState(patch) {
-  Object.assign(currentState, patch);
-  // Broadcast to any open popups / extension pages
-  chrome.runtime.sendMessage({ type: 'stateUpdate', state: currentState }).catch(() => {
-    // No listeners — that's fine, popup may not be open
-  });
-}
+let atrDatabase = null; // Promise of compiled entries
 
-// Popup requests current state, debug log, or resend
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  if (msg.type === 'getState') {
-    sendResponse({ state: currentState, settings, log: debugLog });
-    return false;
+function loadAtrDatabase() {
+  if (!atrDatabase) {
+    atrDatabase = chrome.storage.local.get(ATR_DATABASE_KEY).then((stored) => {
+      const db = stored[ATR_DATABASE_KEY];
+      return db ? compileAtrDatabase(db.entries) : [];
+    });
   }
-  if (msg.type === 'getLog') {
-    sendResponse({ log: debugLog });
-    return false;
+  return atrDatabase;
+}
+
+// --- Card reading ---
+
+/**
+ * Read UID, ATR, parsed card info and any configured memory contents from a
+ * connected card. Returns { reader, uid, atr, cardInfo, atrDetails, mifare,
+ * scripts, ndef }; uid is null if the card did not answer the GET DATA command,
+ * mifare is null unless MIFARE Classic reads are configured and the card is
+ * a Classic, scripts is null unless an APDU script matched the card, and
+ * ndef is null unless the card is an NDEF-formatted Type 2 tag.
+ */
+async function readCardData(readerName, card) {
+  let uid = null;
+  let atr = null;
+  let cardInfo = null;
+  let atrDetails = null;
+  try {
+    uid = await client.readCardUid(card.handle, card.protocol);
+  } catch (_) {}
+  try {
+    const st = await client.status(card.handle);
+    if (st.atr && st.atr.length > 0) {
+      atr = bytesToHex(st.atr);
+      cardInfo = parseAtr(st.atr);
+      atrDetails = decodeAtr(st.atr);
+      const atrMatches = matchAtrDatabase(await loadAtrDatabase(), st.atr);
+      if (atrMatches.length > 0) cardInfo.atrMatches = atrMatches;
+    }
+  } catch (_) {}
+
+  let mifare = null;
+  if (isMifareClassic(cardInfo)) {
+    const parsed = parseMifareReads(settings.mifareReads);
+    if (parsed.error) {
+      addLog('warn', 'MIFARE reads setting invalid: ' + parsed.error);
+    } else if (parsed.reads.length > 0) {
+      const result = await readMifareBlocks(client, card, parsed.reads);
+      mifare = result.values;
+      if (Object.keys(result.errors).length > 0) {
+        addLog('warn', 'Some MIFARE block reads failed', result.errors);
+      }
+    }
   }
-  if (msg.type === 'resendRequest') {
-    // Resend with optional overrides: { url, body }
-    const uid = (msg.body && msg.body.card_id) || (currentState.cardUid) || 'unknown';
-    addLog('info', 'Resend triggered from popup');
-    callEndpoint(uid, { url: msg.url, body: msg.body });
-    sendResponse({ ok: true });
-    return false;
+
+  let scripts = null;
+  const parsedScripts = parseApduScripts(settings.apduScripts);
+  if (parsedScripts.error) {
+    addLog('warn', 'APDU scripts setting invalid: ' + parsedScripts.error);
+  } else if (parsedScripts.scripts.some(s => apduScriptMatches(s, cardInfo, atr))) {
+    const result = await runApduScripts(client, card, parsedScripts.scripts, cardInfo, atr);
+    scripts = result.values;
+    if (Object.keys(result.errors).length > 0) {
+      addLog('warn', 'Some APDU scripts failed', result.errors);
+    }
   }
-  if (msg.type === 'clearLog') {
-    debugLog = [];
-    sendResponse({ ok: true });
-    return false;
+
+  let ndef = null;
+  if (settings.ndefEnabled && isType2Tag(cardInfo)) {
+    try {
+      ndef = await readType2Ndef(client, card);
+    } catch (e) {
+      addLog('warn', 'NDEF read failed: ' + e.message);
+    }
   }
-});
 
-// --- Endpoint call ---
+  return { reader: readerName, uid, atr, cardInfo, atrDetails, mifare, scripts, ndef };
+}
 
 /**
- * Call the configured endpoint, or resend with custom url/body.
- * @param {string} cardUid - Card UID (used to build default body)
- * @param {object} [overrides] - Optional { url, body } for resend
+ * Log detail for a detected card: ATR, parsed info and anything read from
+ * card memory.
  */
-async function callEndpoint(cardUid, overrides) {
-  const url = (overrides && overrides.url) || settings.endpointUrl;
-  if (!url) {
-    const msg = 'No endpoint URL configured, skipping API call';
-    console.log('[bg]', msg);
-    addLog('warn', msg);
-    return;
+function cardLogDetail(card) {
+  const detail = { atr: card.atr, ...(card.cardInfo || {}) };
+  if (card.atrDetails) detail.atrDetails = card.atrDetails;
+  if (card.mifare) detail.mifare = card.mifare;
+  if (card.scripts) detail.scripts = card.scripts;
+  if (card.ndef) detail.ndef = card.ndef.records;
+  return detail;
+}
+
+async function readCard(readerName) {
+  let card;
+  try {
+    card = await client.connectCard(readerName);
+  } catch (e) {
+    return; // connect failed — no card or reader busy
   }
 
-  let body;
-  if (overrides && overrides.body) {
-    body = overrides.body;
+  try {
+    const data = await readCardData(readerName, card);
+    setReaderCard(data);
+    console.log('[bg] Card UID:', readerName, data.uid);
+    addLog('info', 'Card detected on ' + readerName + ' — UID: ' + (data.uid || '(none)'),
+      cardLogDetail(data));
+
+    // Write the tag if provisioning, otherwise call the configured endpoint
+    await handleCard(card, data);
+  } catch (e) {
+    updateState({ status: 'error', error: 'Failed to read card: ' + e.message });
+  }
+
+  try {
+    await client.disconnect(card.handle);
+  } catch (_) {}
+}
+
+/**
+ * Route a freshly read card: write it if provisioning is armed for its
+ * reader and it is a Type 2 tag, otherwise deliver it to the endpoint.
+ * @param {object} card - { handle, protocol } from connectCard
+ * @param {object} data - as returned by readCardData
+ */
+async function handleCard(card, data) {
+  const p = currentState.provisioning;
+  if (p.armed && (!p.reader || p.reader === data.reader) && isType2Tag(data.cardInfo)) {
+    await provisionTag(card, data);
+  } else if (settings.deliveryMode === 'async') {
+    // Go back to watching the readers while the endpoint answers
+    deliverRead(data).catch(e => addLog('error', 'Delivering ' + data.uid + ' failed: ' + e.message));
   } else {
-    body = {
-      card_id: cardUid,
-      venue_id: settings.venueId,
-      client_id: settings.clientId,
-    };
-    // Include card metadata if available
-    if (currentState.cardAtr) {
-      body.card_atr = currentState.cardAtr;
-    }
-    if (currentState.cardInfo) {
-      const ci = currentState.cardInfo;
-      if (ci.cardName) body.card_name = ci.cardName;
-      if (ci.standard) body.card_standard = ci.standard;
-      if (ci.cardType) body.card_type = ci.cardType;
-      if (ci.rid) body.card_rid = ci.rid;
+    await deliverRead(data);
+  }
+}
+
+// --- NDEF provisioning ---
+//
+// The popup arms provisioning with a list of records. The next Type 2 tag
+// presented (optionally only on one reader) is written, read back and
+// verified, optionally write-locked, and the outcome is posted to the
+// endpoint as a "provisioning" event.
+
+const PROVISIONING_RECORD_TYPES = ['uri', 'text', 'json', 'endpoint'];
+
+/**
+ * Arm provisioning from a popup message. Returns an error string if the
+ * records are unusable, else null.
+ */
+function armProvisioning(msg) {
+  const records = msg.records || [];
+  if (records.length === 0) return 'Add at least one record';
+  for (const r of records) {
+    if (!PROVISIONING_RECORD_TYPES.includes(r.type)) return 'Unknown record type: ' + r.type;
+    if ((r.type === 'uri' || r.type === 'text') && !r.value) return 'Record value is empty';
+    if (r.type === 'endpoint' && !settings.provisioningUrl) {
+      return 'Set a provisioning URL in Settings to fetch records from the endpoint';
     }
   }
 
-  const requestHeaders = { 'Content-Type': 'application/json' };
+  updateState({
+    provisioning: {
+      ...currentState.provisioning,
+      armed: true,
+      records,
+      lock: !!msg.lock,
+      repeat: !!msg.repeat,
+      reader: msg.reader || null,
+    },
+  });
+  addLog('info', 'Provisioning armed — present a tag', { records, lock: !!msg.lock, reader: msg.reader || 'any' });
+  return null;
+}
 
-  const apiRequest = {
-    url,
-    headers: requestHeaders,
-    body,
+/**
+ * Write the armed records to a tag and report the result.
+ */
+async function provisionTag(card, data) {
+  const p = currentState.provisioning;
+  const result = {
+    uid: data.uid,
+    reader: data.reader,
+    success: false,
+    locked: false,
     timestamp: new Date().toISOString(),
   };
-  updateState({ apiRequest, apiResponse: null });
-  addLog('info', 'Sending POST to ' + url, body);
-
-  const startTime = performance.now();
 
+  let records = null;
   try {
-    const resp = await fetch(url, {
-      method: 'POST',
-      headers: requestHeaders,
-      body: JSON.stringify(body),
-    });
+    records = await resolveProvisioningRecords(p.records, data);
+    const written = await writeType2Ndef(client, card, encodeNdefMessage(records), { lock: p.lock });
+    Object.assign(result, { success: true, ...written });
+    addLog('info', `Provisioned tag ${data.uid} (${written.bytesWritten} bytes${written.locked ? ', locked' : ''})`, records);
+    if (written.unlockedPages) {
+      addLog('warn', `Tag ${data.uid} has no lock bits for pages ${written.unlockedPages.from}-${written.unlockedPages.to}; they stay writable`);
+    }
 
-    const duration = Math.round(performance.now() - startTime);
+    // Refresh what the popup shows for this card
+    try {
+      setReaderCard({ ...data, ndef: await readType2Ndef(client, card) });
+    } catch (_) {}
+  } catch (e) {
+    result.error = e.message;
+    addLog('error', 'Provisioning failed for ' + data.uid + ': ' + e.message);
+  }
 
-    let respBody;
-    const contentType = resp.headers.get('content-type') || '';
-    if (contentType.includes('application/json')) {
-      respBody = await resp.json();
-    } else {
-      respBody = await resp.text();
+  updateState({
+    provisioning: {
+      ...currentState.provisioning,
+      armed: result.success ? p.repeat : true,
+      lastResult: result,
+    },
+  });
+
+  await callEndpoint(data, {
+    body: {
+      event: 'provisioning',
+      card_id: data.uid,
+      venue_id: settings.venueId,
+      client_id: settings.clientId,
+      reader_name: data.reader,
+      success: result.success,
+      locked: result.locked,
+      unlocked_pages: result.unlockedPages || null,
+      records,
+      error: result.error || null,
+      timestamp: result.timestamp,
+    },
+  });
+}
+
+/**
+ * Turn armed records into encodable ones, fetching "endpoint" records as
+ * JSON from settings.provisioningUrl (one request per tag, so the server
+ * can hand out a fresh ID each time).
+ */
+async function resolveProvisioningRecords(records, data) {
+  const out = [];
+  for (const r of records) {
+    if (r.type !== 'endpoint') {
+      out.push(r);
+      continue;
     }
 
-    // Collect response headers
-    const respHeaders = {};
-    resp.headers.forEach((value, key) => {
-      respHeaders[key] = value;
+    const bodyText = JSON.stringify({
+      card_id: data.uid,
+      venue_id: settings.venueId,
+      client_id: settings.clientId,
+      reader_name: data.reader,
     });
-
-    const apiResponse = {
-      status: resp.status,
-      statusText: resp.statusText,
-      headers: respHeaders,
-      body: respBody,
-      duration,
-      timestamp: new Date().toISOString(),
-    };
-    updateState({ apiResponse });
-    console.log('[bg] API response:', resp.status, respBody);
-    addLog(
-      resp.status >= 200 && resp.status < 300 ? 'info' : 'warn',
-      `Response: ${resp.status} ${resp.statusText} (${duration}ms)`,
-      respBody
-    );
-  } catch (e) {
-    const duration = Math.round(performance.now() - startTime);
-    const apiResponse = {
-      error: e.message,
-      duration,
-      timestamp: new Date().toISOString(),
-    };
-    updateState({ apiResponse });
-    console.warn('[bg] API call failed:', e.message);
-    addLog('error', 'Request failed: ' + e.message);
+    const response = await sendRequest({
+      url: settings.provisioningUrl,
+      method: 'POST',
+      headers: await buildRequestHeaders(bodyText),
+      bodyText,
+      cardUid: data.uid,
+    });
+    if (response.error) throw new Error('Provisioning fetch failed: ' + response.error);
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Provisioning fetch failed: ${response.status} ${response.statusText}`);
+    }
+    if (!response.body || typeof response.body !== 'object') {
+      throw new Error('Provisioning endpoint did not return JSON');
+    }
+    out.push({ type: 'json', value: response.body });
   }
+  return out;
 }
 
-// --- Card reading ---
+// --- Side client ---
+//
+// Work that must not wait for the event loop (the APDU console, reader
+// feedback) goes through a second PcscClient with its own context, so it
+// is not queued behind the blocking SCardGetStatusChange.
+
+let sideClient = null;
+
+async function getSideClient() {
+  if (sideClient && sideClient.isConnected()) return sideClient;
+  if (sideClient) sideClient.dispose();
+  consoleCard = null;
+  sideClient = createPcscClient();
+  await sideClient.connect();
+  await sideClient.establishContext();
+  return sideClient;
+}
 
-async function readCard(readerName) {
-  let card;
-  try {
-    card = await client.connectCard(readerName);
-  } catch (e) {
-    return; // connect failed — no card or reader busy
+// --- Reader feedback ---
+//
+// Request outcomes are signalled on the reader the card was read on.
+// Signals are played one after another on the side client and never hold
+// up delivery; a reader that does not take the commands only logs a
+// warning.
+
+let feedbackChain = Promise.resolve();
+
+function signalFeedback(readerName, outcome) {
+  if (!settings.feedbackEnabled || !readerName) return;
+  const device = feedbackDeviceFor(readerName, settings.feedbackDevice);
+  if (!device) return;
+
+  const parsed = parseFeedbackProfiles(settings.feedbackProfiles);
+  if (parsed.error) {
+    addLog('warn', 'Reader feedback profiles are invalid: ' + parsed.error);
+    return;
   }
+  const profile = parsed.profiles[outcome];
+  if (!profile) return;
+
+  feedbackChain = feedbackChain
+    .then(async () => playFeedback(await getSideClient(), readerName, device, profile))
+    .then(() => console.log('[bg] Reader feedback:', outcome, 'on', readerName))
+    .catch(e => addLog('warn', 'Reader feedback failed on ' + readerName + ': ' + e.message));
+}
+
+// --- APDU console ---
+//
+// The popup's console sends raw APDUs to a card that is on a reader. It
+// runs on the side client and keeps its card connection open between
+// commands so a SELECT carries over to the next command. The connection
+// is dropped when the card is removed.
+
+const MAX_APDU_HISTORY = 200;
+let apduHistory = [];
+let consoleCard = null; // { reader, handle, protocol }
+
+async function getConsoleCard(readerName) {
+  const pcsc = await getSideClient();
+  if (consoleCard && consoleCard.reader === readerName) return consoleCard;
+  await releaseConsoleCard();
+  const card = await pcsc.connectCard(readerName);
+  consoleCard = { reader: readerName, handle: card.handle, protocol: card.protocol };
+  return consoleCard;
+}
 
+/**
+ * Disconnect the console's card connection (leaving the card powered).
+ * With a reader name, only if the connection is to that reader.
+ */
+async function releaseConsoleCard(readerName) {
+  if (!consoleCard || (readerName && consoleCard.reader !== readerName)) return;
+  const card = consoleCard;
+  consoleCard = null;
   try {
-    const uid = await client.readCardUid(card.handle, card.protocol);
-    let atr = null;
-    let cardInfo = null;
-    try {
-      const st = await client.status(card.handle);
-      if (st.atr && st.atr.length > 0) {
-        atr = bytesToHex(st.atr);
-        cardInfo = parseAtr(st.atr);
-      }
-    } catch (_) {}
+    await sideClient.disconnect(card.handle);
+  } catch (_) {}
+}
 
-    updateState({
-      status: 'card',
-      readerName,
-      cardUid: uid,
-      cardAtr: atr,
-      cardInfo,
-      error: null,
-      apiRequest: null,
-      apiResponse: null,
-    });
-    console.log('[bg] Card UID:', uid);
-    addLog('info', 'Card detected — UID: ' + (uid || '(none)'), { atr, ...(cardInfo || {}) });
+/**
+ * Run one console command and record it in the session history. Resolves
+ * to { ok, entry } or { ok: false, error } for input that was not sent.
+ */
+async function runConsoleApdu(readerName, apduText) {
+  const parsed = parseApduHex(apduText);
+  if (parsed.error) return { ok: false, error: parsed.error };
 
-    // Call the configured endpoint
-    if (uid) {
-      await callEndpoint(uid);
-    }
+  const reader = readerName || currentState.readerName;
+  if (!reader || !readerHasCard(reader)) return { ok: false, error: 'No card on ' + (reader || 'any reader') };
+
+  const entry = { timestamp: new Date().toISOString(), reader, command: hexBytes(parsed.bytes) };
+  const startTime = performance.now();
+  try {
+    const card = await getConsoleCard(reader);
+    const result = await transmitApdu(sideClient, card, parsed.bytes);
+    Object.assign(entry, {
+      exchanges: result.exchanges.map(x => ({ command: hexBytes(x.command), response: hexBytes(x.response) })),
+      data: hexBytes(result.data),
+      sw: hexBytes([result.sw1, result.sw2]),
+      meaning: result.meaning,
+    });
   } catch (e) {
-    updateState({ status: 'error', error: 'Failed to read card: ' + e.message });
+    // The card may have been swapped or reset under us; reconnect next time
+    await releaseConsoleCard();
+    entry.error = e.message;
   }
+  entry.duration = Math.round(performance.now() - startTime);
 
-  try {
-    await client.disconnect(card.handle);
-  } catch (_) {}
+  apduHistory.push(entry);
+  if (apduHistory.length > MAX_APDU_HISTORY) apduHistory.shift();
+  console.log('[bg] APDU console:', entry.command, '->', entry.error || entry.sw);
+  return { ok: true, entry };
 }
 
 // --- Event-driven mode (SCardGetStatusChange) ---
 
+/**
+ * Apply one reader's event_state from SCardGetStatusChange.
+ */
+async function handleReaderEvent(readerName, eventState) {
+  const prev = readerStatus(readerName);
+
+  if (eventState & SCARD_STATE_UNAVAILABLE) {
+    if (prev !== 'unavailable') {
+      clearReaderCard(readerName, 'unavailable');
+      addLog('warn', 'Reader unavailable: ' + readerName);
+    }
+  } else if (eventState & SCARD_STATE_MUTE) {
+    // Card present but not answering to reset
+    if (prev !== 'mute') {
+      clearReaderCard(readerName, 'mute');
+      addLog('warn', 'Unresponsive card on ' + readerName);
+    }
+  } else if (eventState & SCARD_STATE_PRESENT) {
+    // Card is present
+    if (prev !== 'card') {
+      await readCard(readerName);
+    }
+  } else if (prev !== 'empty') {
+    // Card removed (or reader recovered)
+    clearReaderCard(readerName);
+    if (prev === 'card') {
+      console.log('[bg] Card removed:', readerName);
+      addLog('info', 'Card removed from ' + readerName);
+    }
+  }
+}
+
 async function runEventLoop() {
+  // Cleared if the resource manager doesn't understand the PnP pseudo-reader,
+  // in which case we fall back to re-listing readers periodically.
+  let pnpSupported = true;
+
   while (running) {
     let readers;
     try {
@@ -282,23 +2019,29 @@ async function runEventLoop() {
       break;
     }
 
-    if (!readers || readers.length === 0) {
-      updateState({ status: 'ready', readerName: null, cardUid: null, cardAtr: null, error: null });
+    syncReaders(readers);
+
+    if (readers.length === 0 && !pnpSupported) {
       // Wait a bit then retry — no readers to watch
       await sleep(3000);
       continue;
     }
 
-    const readerName = readers[0];
-    updateState({ readerName });
-
-    // Build initial reader state
-    let readerStates = [{
-      reader_name: readerName,
+    // Build initial reader states — one entry per attached reader, plus the
+    // PnP pseudo-reader primed with the reader count we just saw so that it
+    // only fires when a reader is attached or removed.
+    let readerStates = readers.map(name => ({
+      reader_name: name,
       current_state: SCARD_STATE_UNAWARE,
-    }];
+    }));
+    if (pnpSupported) {
+      readerStates.push({
+        reader_name: PNP_NOTIFICATION_READER,
+        current_state: readers.length << 16,
+      });
+    }
 
-    // Inner loop: watch this reader for state changes
+    // Inner loop: watch all readers for state changes
     while (running) {
       let updated;
       try {
@@ -306,13 +2049,19 @@ async function runEventLoop() {
       } catch (e) {
         if (e instanceof PcscError) {
           if (e.code === SCARD_E_TIMEOUT) {
-            // Timeout — just loop and call again
-            continue;
+            // Timeout — just loop and call again, or re-list readers
+            // when we can't rely on PnP notifications
+            if (pnpSupported) continue;
+            break;
           }
           if (e.code === SCARD_E_CANCELLED) {
             // Cancelled — we're restarting
             break;
           }
+          if (e.code === SCARD_E_UNKNOWN_READER || e.code === SCARD_E_READER_UNAVAILABLE) {
+            // A reader vanished under us — re-list readers
+            break;
+          }
         }
         // Real error
         updateState({ status: 'error', error: 'Status change error: ' + e.message });
@@ -321,28 +2070,38 @@ async function runEventLoop() {
 
       if (!updated || updated.length === 0) continue;
 
-      const rs = updated[0];
-      const eventState = rs.event_state;
-
-      if (eventState & SCARD_STATE_PRESENT) {
-        // Card is present
-        if (currentState.status !== 'card') {
-          await readCard(readerName);
+      let readersChanged = false;
+      for (const rs of updated) {
+        if (!running) break;
+
+        if (rs.reader_name === PNP_NOTIFICATION_READER) {
+          if (rs.event_state & SCARD_STATE_UNKNOWN) {
+            pnpSupported = false;
+            addLog('warn', 'Reader hot-plug notifications not supported, re-scanning periodically');
+            readersChanged = true;
+          } else if (rs.event_state & SCARD_STATE_CHANGED) {
+            readersChanged = true;
+          }
+          continue;
         }
-      } else {
-        // Card removed
-        if (currentState.status === 'card') {
-          updateState({ status: 'ready', cardUid: null, cardAtr: null, error: null });
-          console.log('[bg] Card removed');
-          addLog('info', 'Card removed');
+
+        if (rs.event_state & (SCARD_STATE_UNKNOWN | SCARD_STATE_IGNORE)) {
+          // Reader has been removed
+          readersChanged = true;
+          continue;
         }
+
+        await handleReaderEvent(rs.reader_name, rs.event_state);
       }
 
+      // Reader attached or removed — re-list and rebuild reader states
+      if (readersChanged) break;
+
       // Update current_state for next call (clear CHANGED bit)
-      readerStates = [{
-        reader_name: readerName,
-        current_state: eventState & ~SCARD_STATE_CHANGED,
-      }];
+      readerStates = updated.map(rs => ({
+        reader_name: rs.reader_name,
+        current_state: rs.event_state & ~SCARD_STATE_CHANGED,
+      }));
     }
   }
 }
@@ -350,29 +2109,10 @@ async function runEventLoop() {
 // --- Poll mode (SCardStatus) ---
 
 async function runPollLoop() {
-  let activeCard = null; // { handle, protocol }
+  const activeCards = new Map(); // readerName -> { handle, protocol }
 
   while (running) {
     try {
-      // If holding a card, check it's still there
-      if (activeCard) {
-        try {
-          await client.status(activeCard.handle);
-          // Still present — sleep and continue
-          await sleep(POLL_INTERVAL_MS);
-          continue;
-        } catch (e) {
-          // Card removed
-          try { await client.disconnect(activeCard.handle); } catch (_) {}
-          activeCard = null;
-          updateState({ status: 'ready', cardUid: null, cardAtr: null, error: null });
-          console.log('[bg] Card removed (poll mode)');
-          addLog('info', 'Card removed (poll mode)');
-          continue;
-        }
-      }
-
-      // No active card — look for readers and cards
       let readers;
       try {
         readers = await client.listReaders();
@@ -381,59 +2121,67 @@ async function runPollLoop() {
         break;
       }
 
-      if (!readers || readers.length === 0) {
-        updateState({ status: 'ready', readerName: null, cardUid: null, cardAtr: null, error: null });
-        await sleep(POLL_INTERVAL_MS);
-        continue;
-      }
-
-      const readerName = readers[0];
-      updateState({ readerName });
-
-      let card;
-      try {
-        card = await client.connectCard(readerName);
-      } catch (e) {
-        // If the client lost its connection/context, break so we can recover
-        if (!client.isConnected()) {
-          updateState({ status: 'error', readerName: null, error: 'Lost connection: ' + e.message });
-          break;
-        }
-        // Otherwise it's a normal "no card present" condition
-        if (currentState.status !== 'ready') {
-          updateState({ status: 'ready', cardUid: null, cardAtr: null, error: null });
+      // Release cards held on readers that have gone away
+      for (const [readerName, card] of activeCards) {
+        if (!readers.includes(readerName)) {
+          try { await client.disconnect(card.handle); } catch (_) {}
+          activeCards.delete(readerName);
         }
-        await sleep(POLL_INTERVAL_MS);
-        continue;
       }
+      syncReaders(readers);
+
+      for (const readerName of readers) {
+        if (!running) break;
+
+        // If holding a card, check it's still there
+        const activeCard = activeCards.get(readerName);
+        if (activeCard) {
+          try {
+            await client.status(activeCard.handle);
+            continue; // Still present
+          } catch (e) {
+            // Card removed
+            try { await client.disconnect(activeCard.handle); } catch (_) {}
+            activeCards.delete(readerName);
+            clearReaderCard(readerName);
+            console.log('[bg] Card removed (poll mode):', readerName);
+            addLog('info', 'Card removed from ' + readerName + ' (poll mode)');
+            continue;
+          }
+        }
 
-      // Card found — read UID, ATR and card info
-      let uid = null;
-      let atr = null;
-      let cardInfo = null;
-      try {
-        uid = await client.readCardUid(card.handle, card.protocol);
-      } catch (_) {}
-      try {
-        const st = await client.status(card.handle);
-        if (st.atr && st.atr.length > 0) {
-          atr = bytesToHex(st.atr);
-          cardInfo = parseAtr(st.atr);
+        let card;
+        try {
+          card = await client.connectCard(readerName);
+        } catch (e) {
+          // If the client lost its connection/context, bail out so we can recover
+          if (!client.isConnected()) throw new Error('Lost connection: ' + e.message);
+          // Otherwise it's a normal "no card present" condition, or a
+          // mute card / unavailable reader that we surface in the popup
+          let status = 'empty';
+          if (e instanceof PcscError && e.code === SCARD_W_UNRESPONSIVE_CARD) status = 'mute';
+          if (e instanceof PcscError && e.code === SCARD_E_READER_UNAVAILABLE) status = 'unavailable';
+          if (readerStatus(readerName) !== status) {
+            clearReaderCard(readerName, status);
+            if (status === 'mute') addLog('warn', 'Unresponsive card on ' + readerName);
+            if (status === 'unavailable') addLog('warn', 'Reader unavailable: ' + readerName);
+          }
+          continue;
         }
-      } catch (_) {}
 
-      updateState({ status: 'card', cardUid: uid, cardAtr: atr, cardInfo, error: null });
-      console.log('[bg] Card UID (poll mode):', uid);
-      addLog('info', 'Card detected (poll) — UID: ' + (uid || '(none)'), { atr, ...(cardInfo || {}) });
-      activeCard = { handle: card.handle, protocol: card.protocol };
+        // Card found — read UID, ATR and card info
+        const data = await readCardData(readerName, card);
+        setReaderCard(data);
+        console.log('[bg] Card UID (poll mode):', readerName, data.uid);
+        addLog('info', 'Card detected on ' + readerName + ' (poll) — UID: ' + (data.uid || '(none)'),
+          cardLogDetail(data));
+        activeCards.set(readerName, { handle: card.handle, protocol: card.protocol });
 
-      // Call the configured endpoint
-      if (uid) {
-        await callEndpoint(uid);
+        // Write the tag if provisioning, otherwise call the configured endpoint
+        await handleCard(card, data);
       }
-
     } catch (e) {
-      updateState({ status: 'error', error: e.message });
+      updateState({ status: 'error', readerName: null, error: e.message });
       break;
     }
 
@@ -441,14 +2189,45 @@ async function runPollLoop() {
   }
 }
 
+// --- PC/SC backend ---
+//
+// With pcscBackend set to 'simulator', every client talks to one
+// PcscSimulator instead of the Smart Card Connector, so the extension runs
+// without a reader. The simulator lives until the backend settings change;
+// from the service worker's DevTools console it can be driven directly,
+// e.g. pcscSimulator.insertCard('Simulated Reader', { uid: '04:A1:B2:C3' }).
+
+let pcscSimulator = null;
+
+function createPcscClient() {
+  if (settings.pcscBackend !== 'simulator') return new PcscClient();
+
+  if (!pcscSimulator) {
+    pcscSimulator = new PcscSimulator();
+    const parsed = parseSimulatorScenario(settings.simulatorScenario);
+    if (parsed.error) {
+      addLog('warn', 'Simulator scenario invalid: ' + parsed.error);
+    } else {
+      for (const name of parsed.scenario.readers) pcscSimulator.addReader(name);
+      pcscSimulator.play(parsed.scenario.timeline)
+        .catch(e => addLog('warn', 'Simulator timeline stopped: ' + e.message));
+    }
+    addLog('info', 'Using the simulated PC/SC backend');
+  }
+  const simulator = pcscSimulator;
+  return new PcscClient(() => simulator.openPort());
+}
+
 // --- Lifecycle ---
 
 async function start() {
   running = true;
   await loadSettings();
-  updateState({ status: 'connecting', error: null });
+  syncWsTransport();
+  syncBridge();
+  updateState({ status: 'connecting', error: null, readers: {} });
 
-  client = new PcscClient();
+  client = createPcscClient();
   try {
     await client.connect();
     await client.establishContext();
@@ -476,6 +2255,9 @@ async function start() {
   if (running) {
     console.log('[bg] Monitoring loop exited unexpectedly, scheduling recovery');
     addLog('warn', 'Connection lost, recovering in 2s…');
+    if (settings.notifyConnectionLost) {
+      showNotification('connection', 'Connection lost', 'Lost the Smart Card Connector connection, reconnecting…');
+    }
     running = false;
     if (client) { client.dispose(); client = null; }
     await sleep(2000);
@@ -509,6 +2291,7 @@ chrome.alarms.onAlarm.addListener((alarm) => {
       addLog('warn', 'Keepalive detected stale connection, restarting');
       restart();
     }
+    processQueue();
   }
 });
 
@@ -518,3 +2301,6 @@ chrome.runtime.onStartup.addListener(() => start());
 
 // Also start immediately (covers service worker restart)
 start();
+
+// Resume retrying anything left in the delivery queue
+processQueue();
@@ -0,0 +1,54 @@
+/**
+ * Content script for the web page bridge, registered by the background
+ * worker on the allowlisted origins (see page-bridge.js). Relays messages
+ * the page posts with window.postMessage({ source: 'smartcard-reader-page',
+ * ... }) to the background worker, and posts everything it sends back with
+ * source 'smartcard-reader-extension'.
+ *
+ * The service worker can restart at any time, which drops the port: the
+ * page is told with { type: 'disconnected' }, and an active subscription
+ * is renewed on a new port.
+ */
+
+(() => {
+  const PAGE_SOURCE = 'smartcard-reader-page';
+  const EXTENSION_SOURCE = 'smartcard-reader-extension';
+  const RESUBSCRIBE_DELAY_MS = 1000;
+
+  let port = null;
+  let subscription = null; // last subscribe message, replayed on a new port
+
+  // Lets pages check for the bridge before sending anything
+  document.documentElement.dataset.smartcardReaderBridge = '1';
+
+  function post(msg) {
+    window.postMessage({ ...msg, source: EXTENSION_SOURCE }, window.location.origin);
+  }
+
+  function send(msg) {
+    if (!port) {
+      try {
+        port = chrome.runtime.connect({ name: 'page-bridge' });
+      } catch (e) {
+        // Extension reloaded or removed; this page needs a reload
+        post({ type: 'error', id: msg.id, error: e.message });
+        return;
+      }
+      port.onMessage.addListener(post);
+      port.onDisconnect.addListener(() => {
+        port = null;
+        post({ type: 'disconnected' });
+        if (subscription) setTimeout(() => send(subscription), RESUBSCRIBE_DELAY_MS);
+      });
+    }
+    port.postMessage(msg);
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || !event.data || event.data.source !== PAGE_SOURCE) return;
+    const { source, ...msg } = event.data;
+    if (msg.type === 'subscribe') subscription = { type: 'subscribe', handleReads: !!msg.handleReads };
+    if (msg.type === 'unsubscribe') subscription = null;
+    send(msg);
+  });
+})();
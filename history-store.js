@@ -0,0 +1,171 @@
+/**
+ * Persistent scan history in IndexedDB. Loaded by the background worker
+ * (which records every card read and its delivery outcome) and the history
+ * page (which lists, filters and exports it).
+ *
+ * Entries:
+ *   { id, timestamp, uid, atr, cardInfo, reader, repeat, outcome, status,
+ *     statusText, error, duration, queueId }
+ * outcome is one of HISTORY_OUTCOMES; status / statusText are the HTTP
+ * response's and duration is its round trip in ms. queueId links an entry
+ * to its offline-queue retry, which updates the entry once it completes.
+ */
+
+const HISTORY_DB_NAME = 'scanHistory';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'reads';
+
+const HISTORY_OUTCOMES = {
+  delivered: 'Delivered (2xx)',
+  rejected: 'Rejected (non-2xx)',
+  failed: 'Network failure',
+  queued: 'Queued for retry',
+  cancelled: 'Cancelled from the popup',
+  'not-sent': 'Not sent (no endpoint)',
+  suppressed: 'Suppressed repeat',
+  page: 'Handled by web page',
+  'no-uid': 'No UID read',
+};
+
+const HISTORY_CSV_COLUMNS = [
+  'id', 'timestamp', 'uid', 'reader', 'atr', 'cardName', 'cardType', 'repeat',
+  'outcome', 'status', 'statusText', 'error', 'duration',
+];
+
+let historyDb = null; // Promise of the open IDBDatabase
+
+function openHistoryDb() {
+  if (!historyDb) {
+    historyDb = new Promise((resolve, reject) => {
+      const req = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('queueId', 'queueId');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        historyDb = null;
+        reject(req.error);
+      };
+    });
+  }
+  return historyDb;
+}
+
+/**
+ * Run fn(store) in a transaction and resolve with the value fn's request
+ * (if it returns one) produced, once the transaction completes.
+ */
+async function historyTransaction(mode, fn) {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(HISTORY_STORE, mode);
+    const req = fn(tx.objectStore(HISTORY_STORE));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Add an entry. Resolves to its id.
+ */
+function addHistoryEntry(entry) {
+  return historyTransaction('readwrite', store => store.add(entry));
+}
+
+/**
+ * Merge patch into the entry linked to a queue entry, if there is one.
+ */
+function updateHistoryByQueueId(queueId, patch) {
+  return historyTransaction('readwrite', (store) => {
+    store.index('queueId').openCursor(queueId).onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      cursor.update({ ...cursor.value, ...patch });
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * Entries matching the filters, newest first.
+ * @param {object} [filters]
+ * @param {string} [filters.from] - ISO timestamp, inclusive
+ * @param {string} [filters.to] - ISO timestamp, exclusive
+ * @param {string} [filters.uid] - substring of the UID; case and separators are ignored
+ * @param {string} [filters.outcome] - one of HISTORY_OUTCOMES
+ */
+function queryHistory(filters = {}) {
+  const uid = (filters.uid || '').replace(/[^0-9A-Za-z]/g, '').toUpperCase();
+  const lower = filters.from || null;
+  const upper = filters.to || null;
+  let range = null;
+  if (lower && upper) range = IDBKeyRange.bound(lower, upper, false, true);
+  else if (lower) range = IDBKeyRange.lowerBound(lower);
+  else if (upper) range = IDBKeyRange.upperBound(upper, true);
+
+  const out = [];
+  return historyTransaction('readonly', (store) => {
+    store.index('timestamp').openCursor(range, 'prev').onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      const entry = cursor.value;
+      if ((!filters.outcome || entry.outcome === filters.outcome) &&
+          (!uid || (entry.uid || '').replace(/[^0-9A-Za-z]/g, '').toUpperCase().includes(uid))) {
+        out.push(entry);
+      }
+      cursor.continue();
+    };
+  }).then(() => out);
+}
+
+function clearHistory() {
+  return historyTransaction('readwrite', store => store.clear());
+}
+
+/**
+ * Enforce the retention limits: drop entries older than maxDays and then
+ * the oldest beyond maxEntries (0 = no limit). Resolves to the number of
+ * entries removed.
+ */
+async function pruneHistory(maxDays, maxEntries) {
+  let removed = 0;
+  const cutoff = maxDays > 0 ? new Date(Date.now() - maxDays * 86400000).toISOString() : null;
+
+  await historyTransaction('readwrite', (store) => {
+    const countReq = store.count();
+    countReq.onsuccess = () => {
+      let excess = maxEntries > 0 ? countReq.result - maxEntries : 0;
+      store.index('timestamp').openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        if (excess > 0 || (cutoff && cursor.value.timestamp < cutoff)) {
+          cursor.delete();
+          removed++;
+          excess--;
+          cursor.continue();
+        }
+        // Oldest first, so the first entry to keep ends the walk
+      };
+    };
+  });
+  return removed;
+}
+
+/**
+ * CSV export: one row per entry, RFC 4180 quoting.
+ */
+function historyToCsv(entries) {
+  const quote = (v) => {
+    const s = v === null || v === undefined ? '' : String(v);
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  };
+  const rows = entries.map((e) => {
+    const ci = e.cardInfo || {};
+    const row = { ...e, cardName: ci.cardName, cardType: ci.cardType };
+    return HISTORY_CSV_COLUMNS.map(c => quote(row[c])).join(',');
+  });
+  return [HISTORY_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,135 @@
+/**
+ * Scan history page: lists the reads recorded in IndexedDB by the
+ * background worker, with date, UID and status filters and CSV / JSON
+ * export of the filtered entries.
+ */
+
+const ui = {
+  fromFilter: document.getElementById('fromFilter'),
+  toFilter: document.getElementById('toFilter'),
+  uidFilter: document.getElementById('uidFilter'),
+  outcomeFilter: document.getElementById('outcomeFilter'),
+  resetBtn: document.getElementById('resetBtn'),
+  summary: document.getElementById('summary'),
+  exportCsvBtn: document.getElementById('exportCsvBtn'),
+  exportJsonBtn: document.getElementById('exportJsonBtn'),
+  clearBtn: document.getElementById('clearBtn'),
+  historyRows: document.getElementById('historyRows'),
+};
+
+// Rendering thousands of rows makes the page sluggish; exports still
+// include every matching entry
+const MAX_ROWS = 1000;
+
+// Entries matching the current filters
+let entries = [];
+
+/**
+ * Filters from the form. Dates are local days: "to" includes the whole day.
+ */
+function currentFilters() {
+  const filters = { uid: ui.uidFilter.value.trim(), outcome: ui.outcomeFilter.value };
+  if (ui.fromFilter.value) filters.from = new Date(ui.fromFilter.value + 'T00:00').toISOString();
+  if (ui.toFilter.value) {
+    const end = new Date(ui.toFilter.value + 'T00:00');
+    end.setDate(end.getDate() + 1);
+    filters.to = end.toISOString();
+  }
+  return filters;
+}
+
+async function refresh() {
+  try {
+    entries = await queryHistory(currentFilters());
+  } catch (e) {
+    entries = [];
+    ui.summary.textContent = 'Could not read history: ' + e.message;
+    ui.historyRows.innerHTML = '';
+    return;
+  }
+  render();
+}
+
+function render() {
+  ui.summary.textContent = (entries.length === 1 ? '1 read' : entries.length + ' reads') +
+    (entries.length > MAX_ROWS ? ' (showing the newest ' + MAX_ROWS + ')' : '');
+  ui.exportCsvBtn.disabled = entries.length === 0;
+  ui.exportJsonBtn.disabled = entries.length === 0;
+
+  if (entries.length === 0) {
+    ui.historyRows.innerHTML = '<tr><td colspan="6" class="empty">No reads match the filters</td></tr>';
+    return;
+  }
+  ui.historyRows.innerHTML = entries.slice(0, MAX_ROWS).map(rowHtml).join('');
+}
+
+function rowHtml(e) {
+  const ci = e.cardInfo || {};
+  let status = HISTORY_OUTCOMES[e.outcome] || e.outcome;
+  if (e.status !== null && e.status !== undefined) status = e.status + ' ' + (e.statusText || '');
+  const detail = e.error || (e.repeat ? 'repeat read' : '');
+  return (
+    '<tr>' +
+      '<td>' + escapeHtml(new Date(e.timestamp).toLocaleString()) + '</td>' +
+      '<td class="mono">' + escapeHtml(e.uid || '') + '</td>' +
+      '<td>' + escapeHtml(e.reader || '') + '</td>' +
+      '<td>' + escapeHtml(ci.cardName || ci.cardType || '') + '</td>' +
+      '<td><span class="outcome ' + escapeHtml(e.outcome) + '">' + escapeHtml(status) + '</span>' +
+        (detail ? '<div class="detail">' + escapeHtml(detail) + '</div>' : '') + '</td>' +
+      '<td>' + (e.duration !== null && e.duration !== undefined ? e.duration + 'ms' : '') + '</td>' +
+    '</tr>'
+  );
+}
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+function download(text, type, extension) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'scan-history-' + new Date().toISOString().replace(/[:.]/g, '-') + '.' + extension;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+for (const [value, label] of Object.entries(HISTORY_OUTCOMES)) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  ui.outcomeFilter.appendChild(option);
+}
+
+ui.fromFilter.addEventListener('change', refresh);
+ui.toFilter.addEventListener('change', refresh);
+ui.outcomeFilter.addEventListener('change', refresh);
+ui.uidFilter.addEventListener('input', refresh);
+
+ui.resetBtn.addEventListener('click', () => {
+  ui.fromFilter.value = '';
+  ui.toFilter.value = '';
+  ui.uidFilter.value = '';
+  ui.outcomeFilter.value = '';
+  refresh();
+});
+
+ui.exportCsvBtn.addEventListener('click', () => download(historyToCsv(entries), 'text/csv', 'csv'));
+ui.exportJsonBtn.addEventListener('click', () => {
+  download(JSON.stringify(entries, null, 2), 'application/json', 'json');
+});
+
+ui.clearBtn.addEventListener('click', async () => {
+  if (!confirm('Delete the entire scan history? Export it first if you still need it.')) return;
+  await clearHistory();
+  refresh();
+});
+
+// The background worker announces every new or updated entry
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg.type === 'historyUpdated') refresh();
+});
+
+refresh();
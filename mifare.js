@@ -0,0 +1,152 @@
+/**
+ * MIFARE Classic data-block reads. Loaded by the background worker (to read
+ * blocks when a card is presented) and the options page (to validate the
+ * configured reads on save).
+ *
+ * Each configured read is an object:
+ *   { name, sector, block, keyType, key, decode, offset, length }
+ * where block is relative to the sector (0-3, or 0-15 in the 4K sectors
+ * 32-39), keyType is "A" or "B", key is 12 hex digits and decode is one of
+ * MIFARE_DECODERS. offset/length select bytes within the 16-byte block.
+ */
+
+const MIFARE_BLOCK_SIZE = 16;
+
+// Reader volatile key slot used for LOAD KEYS / GENERAL AUTHENTICATE
+const MIFARE_KEY_SLOT = 0x00;
+
+// Card names from parseAtr that speak the MIFARE Classic command set
+const MIFARE_CLASSIC_NAMES = [
+  'MIFARE Classic 1K',
+  'MIFARE Classic 4K',
+  'MIFARE Mini',
+  'MIFARE Plus 2K SL1',
+  'MIFARE Plus 4K SL1',
+];
+
+const MIFARE_DECODERS = {
+  hex: bytes => bytes.map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(''),
+
+  // Printable text, trailing NUL / 0xFF padding removed
+  ascii: (bytes) => {
+    let end = bytes.length;
+    while (end > 0 && (bytes[end - 1] === 0x00 || bytes[end - 1] === 0xFF)) end--;
+    return String.fromCharCode(...bytes.slice(0, end).map(b => (b >= 0x20 && b < 0x7F ? b : 0x3F)));
+  },
+
+  // Packed BCD digits, stopping at the first 0xF filler nibble. Returned as a
+  // number when it fits, otherwise as a digit string.
+  bcd: (bytes) => {
+    let digits = '';
+    for (const b of bytes) {
+      const hi = b >> 4;
+      const lo = b & 0x0F;
+      if (hi === 0x0F) break;
+      if (hi > 9) throw new Error('Invalid BCD byte 0x' + b.toString(16).toUpperCase());
+      digits += hi;
+      if (lo === 0x0F) break;
+      if (lo > 9) throw new Error('Invalid BCD byte 0x' + b.toString(16).toUpperCase());
+      digits += lo;
+    }
+    if (digits === '') return null;
+    const n = Number(digits);
+    return Number.isSafeInteger(n) ? n : digits.replace(/^0+(?=\d)/, '');
+  },
+};
+
+function isMifareClassic(cardInfo) {
+  return !!cardInfo && MIFARE_CLASSIC_NAMES.includes(cardInfo.cardName);
+}
+
+/**
+ * Absolute block number for a sector-relative block. Sectors 0-31 have 4
+ * blocks; the 4K card's sectors 32-39 have 16.
+ */
+function mifareBlockNumber(sector, block) {
+  return sector < 32 ? sector * 4 + block : 128 + (sector - 32) * 16 + block;
+}
+
+/**
+ * Parse and validate the reads setting (JSON array text). Returns
+ * { reads } with defaults filled in, or { error }.
+ */
+function parseMifareReads(text) {
+  if (!text || !text.trim()) return { reads: [] };
+
+  let reads;
+  try {
+    reads = JSON.parse(text);
+  } catch (e) {
+    return { error: 'Invalid JSON: ' + e.message };
+  }
+  if (!Array.isArray(reads)) return { error: 'Must be a JSON array of reads' };
+
+  const names = new Set();
+  const out = [];
+  for (const [i, r] of reads.entries()) {
+    const where = 'Read #' + (i + 1) + ': ';
+    if (!r || typeof r !== 'object') return { error: where + 'must be an object' };
+    if (typeof r.name !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(r.name)) {
+      return { error: where + 'name must be an identifier, e.g. "memberNumber"' };
+    }
+    if (names.has(r.name)) return { error: where + 'duplicate name "' + r.name + '"' };
+    names.add(r.name);
+
+    if (!Number.isInteger(r.sector) || r.sector < 0 || r.sector > 39) {
+      return { error: where + 'sector must be 0-39' };
+    }
+    const blocksInSector = r.sector < 32 ? 4 : 16;
+    if (!Number.isInteger(r.block) || r.block < 0 || r.block >= blocksInSector) {
+      return { error: where + 'block must be 0-' + (blocksInSector - 1) + ' in sector ' + r.sector };
+    }
+
+    const keyType = (r.keyType || 'A').toUpperCase();
+    if (keyType !== 'A' && keyType !== 'B') return { error: where + 'keyType must be "A" or "B"' };
+    const key = (r.key || 'FFFFFFFFFFFF').replace(/[\s:]/g, '');
+    if (!/^[0-9A-Fa-f]{12}$/.test(key)) return { error: where + 'key must be 12 hex digits' };
+
+    const decode = r.decode || 'hex';
+    if (!MIFARE_DECODERS[decode]) {
+      return { error: where + 'decode must be one of ' + Object.keys(MIFARE_DECODERS).join(', ') };
+    }
+
+    const offset = r.offset === undefined ? 0 : r.offset;
+    const length = r.length === undefined ? MIFARE_BLOCK_SIZE - offset : r.length;
+    if (!Number.isInteger(offset) || !Number.isInteger(length) || offset < 0 || length < 1 ||
+        offset + length > MIFARE_BLOCK_SIZE) {
+      return { error: where + 'offset/length must select bytes within the 16-byte block' };
+    }
+
+    out.push({ name: r.name, sector: r.sector, block: r.block, keyType, key, decode, offset, length });
+  }
+  return { reads: out };
+}
+
+/**
+ * Run the configured reads against a connected MIFARE Classic card.
+ * Returns { values, errors }, both keyed by read name; one failing read
+ * does not stop the others.
+ * @param {PcscClient} client
+ * @param {object} card - { handle, protocol } from connectCard
+ * @param {Array} reads - output of parseMifareReads
+ */
+async function readMifareBlocks(client, card, reads) {
+  const values = {};
+  const errors = {};
+
+  for (const r of reads) {
+    try {
+      const keyBytes = r.key.match(/../g).map(h => parseInt(h, 16));
+      const blockNumber = mifareBlockNumber(r.sector, r.block);
+      await client.loadKey(card.handle, card.protocol, MIFARE_KEY_SLOT, keyBytes);
+      await client.authenticate(card.handle, card.protocol, blockNumber,
+        r.keyType === 'B' ? MIFARE_KEY_B : MIFARE_KEY_A, MIFARE_KEY_SLOT);
+      const data = await client.readBinary(card.handle, card.protocol, blockNumber, MIFARE_BLOCK_SIZE);
+      values[r.name] = MIFARE_DECODERS[r.decode](data.slice(r.offset, r.offset + r.length));
+    } catch (e) {
+      errors[r.name] = e.message;
+    }
+  }
+
+  return { values, errors };
+}
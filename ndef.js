@@ -0,0 +1,456 @@
+/**
+ * NDEF support for NFC Forum Type 2 tags (MIFARE Ultralight, NTAG).
+ * Reads the capability container and user memory via READ BINARY, walks
+ * the TLV blocks and parses the NDEF message into plain JSON records.
+ * Writing encodes records back into an NDEF TLV and stores it with
+ * UPDATE BINARY (used by provisioning mode).
+ */
+
+// Type 2 tag layout: pages are 4 bytes, CC in page 3, user memory from page 4
+const T2_PAGE_SIZE = 4;
+const T2_CC_PAGE = 3;
+const T2_DATA_PAGE = 4;
+const T2_READ_CHUNK = 16; // READ BINARY returns up to 4 pages at a time
+const T2_STATIC_LOCK_LAST_PAGE = 15; // static lock bits in page 2 cover pages 3-15
+const NDEF_MAGIC = 0xE1;
+
+// TLV block types
+const TLV_NULL = 0x00;
+const TLV_LOCK_CONTROL = 0x01;
+const TLV_MEMORY_CONTROL = 0x02;
+const TLV_NDEF_MESSAGE = 0x03;
+const TLV_PROPRIETARY = 0xFD;
+const TLV_TERMINATOR = 0xFE;
+
+// Record header TNF values
+const NDEF_TNF = ['empty', 'well-known', 'mime', 'absolute-uri', 'external', 'unknown', 'unchanged', 'reserved'];
+
+// URI identifier codes (NFC Forum URI RTD, table 3)
+const NDEF_URI_PREFIXES = [
+  '', 'http://www.', 'https://www.', 'http://', 'https://', 'tel:', 'mailto:',
+  'ftp://anonymous:anonymous@', 'ftp://ftp.', 'ftps://', 'sftp://', 'smb://',
+  'nfs://', 'ftp://', 'dav://', 'news:', 'telnet://', 'imap:', 'rtsp://', 'urn:',
+  'pop:', 'sip:', 'sips:', 'tftp:', 'btspp://', 'btl2cap://', 'btgoep://',
+  'tcpobex://', 'irdaobex://', 'file://', 'urn:epc:id:', 'urn:epc:tag:',
+  'urn:epc:pat:', 'urn:epc:raw:', 'urn:epc:', 'urn:nfc:',
+];
+
+function isType2Tag(cardInfo) {
+  if (!cardInfo) return false;
+  return (cardInfo.cardName || '').startsWith('MIFARE Ultralight') || cardInfo.rid === 'NFC Forum';
+}
+
+/**
+ * Read and parse the NDEF message of a Type 2 tag.
+ * Returns null if the tag is not NDEF formatted, otherwise
+ * { version, size, writable, records } where size is the user memory size
+ * in bytes from the capability container.
+ * @param {PcscClient} client
+ * @param {object} card - { handle, protocol } from connectCard
+ */
+async function readType2Ndef(client, card) {
+  const cc = await client.readBinary(card.handle, card.protocol, T2_CC_PAGE, T2_PAGE_SIZE);
+  if (cc[0] !== NDEF_MAGIC) return null;
+
+  const size = cc[2] * 8;
+  const info = {
+    version: (cc[1] >> 4) + '.' + (cc[1] & 0x0F),
+    size,
+    writable: (cc[3] & 0x0F) === 0x00,
+    records: [],
+  };
+
+  // Read user memory until the NDEF TLV is complete, a terminator is seen,
+  // or we reach the end of the data area.
+  const memory = [];
+  let page = T2_DATA_PAGE;
+  let scan = { done: false };
+  while (memory.length < size && !scan.done) {
+    const chunk = await client.readBinary(card.handle, card.protocol, page, T2_READ_CHUNK);
+    if (chunk.length === 0) break;
+    memory.push(...chunk);
+    page += Math.ceil(chunk.length / T2_PAGE_SIZE);
+    scan = scanTlvs(memory.slice(0, size));
+  }
+
+  if (scan.message) info.records = parseNdefMessage(scan.message);
+  return info;
+}
+
+/**
+ * Walk TLV blocks in Type 2 user memory. Returns { done, message } where
+ * message is the NDEF message bytes once its TLV has been read completely,
+ * and done means nothing more needs to be read.
+ */
+function scanTlvs(bytes) {
+  let i = 0;
+  while (i < bytes.length) {
+    const type = bytes[i];
+    if (type === TLV_NULL) { i++; continue; }
+    if (type === TLV_TERMINATOR) return { done: true, message: null };
+
+    const tlv = readTlv(bytes, i);
+    if (!tlv) return { done: false };
+    if (type === TLV_NDEF_MESSAGE) return { done: true, message: tlv.value };
+    // Lock / memory control and proprietary TLVs are skipped
+    i = tlv.end;
+  }
+  return { done: false };
+}
+
+/**
+ * The TLV starting at bytes[i] as { type, value, end }, or null if it runs
+ * past the end of bytes. The length is one byte, or 0xFF followed by a
+ * 2-byte length.
+ */
+function readTlv(bytes, i) {
+  if (i + 1 >= bytes.length) return null;
+  let len = bytes[i + 1];
+  let valueStart = i + 2;
+  if (len === 0xFF) {
+    if (i + 3 >= bytes.length) return null;
+    len = (bytes[i + 2] << 8) | bytes[i + 3];
+    valueStart = i + 4;
+  }
+  if (valueStart + len > bytes.length) return null;
+  return { type: bytes[i], value: bytes.slice(valueStart, valueStart + len), end: valueStart + len };
+}
+
+/**
+ * Lock and Memory Control TLVs at the start of user memory, which a new
+ * message is written after. Returns { complete, end, locks, reserved }:
+ * end is the offset of the first byte after them, locks the dynamic lock
+ * areas { address, bits, bytesPerBit } and reserved every area { address,
+ * size } they declare, with addresses counted in bytes from page 0.
+ * complete is false if bytes may end before the last control TLV.
+ */
+function scanControlTlvs(bytes) {
+  const out = { complete: true, end: 0, locks: [], reserved: [] };
+  let i = 0;
+  while (i < bytes.length) {
+    const type = bytes[i];
+    if (type === TLV_NULL) { i++; continue; }
+    if (type !== TLV_LOCK_CONTROL && type !== TLV_MEMORY_CONTROL) return out;
+
+    const tlv = readTlv(bytes, i);
+    if (!tlv) return { ...out, complete: false };
+    if (tlv.value.length >= 3) {
+      // Position byte (page, byte offset), size, and a byte holding the
+      // page size and (for locks) the bytes each lock bit covers as powers of 2
+      const [position, size, sizes] = tlv.value;
+      const address = (position >> 4) * (1 << (sizes & 0x0F)) + (position & 0x0F);
+      if (type === TLV_LOCK_CONTROL) {
+        const bits = size || 256;
+        out.locks.push({ address, bits, bytesPerBit: 1 << (sizes >> 4) });
+        out.reserved.push({ address, size: Math.ceil(bits / 8) });
+      } else {
+        out.reserved.push({ address, size: size || 256 });
+      }
+    }
+    i = out.end = tlv.end;
+  }
+  return { ...out, complete: false };
+}
+
+/**
+ * Parse an NDEF message into an array of record objects:
+ * { tnf, type, id?, recordType, ... } with recordType-specific fields
+ * (uri; text/lang/encoding; mimeType/data; records for smart posters;
+ * payloadHex for anything we don't decode).
+ */
+function parseNdefMessage(bytes) {
+  const records = [];
+  let i = 0;
+
+  while (i < bytes.length) {
+    const header = bytes[i++];
+    const tnf = header & 0x07;
+    const shortRecord = (header & 0x10) !== 0;
+    const hasId = (header & 0x08) !== 0;
+    const chunked = (header & 0x20) !== 0;
+    const messageEnd = (header & 0x40) !== 0;
+
+    const typeLength = bytes[i++];
+    let payloadLength;
+    if (shortRecord) {
+      payloadLength = bytes[i++];
+    } else {
+      payloadLength = ((bytes[i] << 24) | (bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3]) >>> 0;
+      i += 4;
+    }
+    const idLength = hasId ? bytes[i++] : 0;
+
+    const type = bytes.slice(i, i + typeLength);
+    i += typeLength;
+    const id = bytes.slice(i, i + idLength);
+    i += idLength;
+    const payload = bytes.slice(i, i + payloadLength);
+    i += payloadLength;
+
+    if (payload.length < payloadLength) {
+      records.push({ tnf: NDEF_TNF[tnf], recordType: 'invalid', error: 'Record truncated' });
+      break;
+    }
+
+    const record = { tnf: NDEF_TNF[tnf], type: utf8Decode(type) };
+    if (idLength > 0) record.id = utf8Decode(id);
+    if (chunked) {
+      record.recordType = 'chunked';
+      record.payloadHex = bytesToHex(payload);
+    } else {
+      Object.assign(record, decodeNdefPayload(tnf, record.type, payload));
+    }
+    records.push(record);
+
+    if (messageEnd) break;
+  }
+
+  return records;
+}
+
+function decodeNdefPayload(tnf, type, payload) {
+  if (tnf === 0) return { recordType: 'empty' };
+
+  if (tnf === 1 && type === 'U' && payload.length > 0) {
+    return { recordType: 'uri', uri: (NDEF_URI_PREFIXES[payload[0]] || '') + utf8Decode(payload.slice(1)) };
+  }
+
+  if (tnf === 1 && type === 'T' && payload.length > 0) {
+    const status = payload[0];
+    const utf16 = (status & 0x80) !== 0;
+    const langLength = status & 0x3F;
+    const textBytes = payload.slice(1 + langLength);
+    return {
+      recordType: 'text',
+      lang: utf8Decode(payload.slice(1, 1 + langLength)),
+      encoding: utf16 ? 'UTF-16' : 'UTF-8',
+      text: new TextDecoder(utf16 ? 'utf-16be' : 'utf-8').decode(new Uint8Array(textBytes)),
+    };
+  }
+
+  if (tnf === 1 && type === 'Sp') {
+    return { recordType: 'smartPoster', records: parseNdefMessage(payload) };
+  }
+
+  if (tnf === 2) {
+    return { recordType: 'mime', mimeType: type, ...decodeNdefData(type, payload) };
+  }
+
+  if (tnf === 3) {
+    return { recordType: 'absoluteUri', uri: type };
+  }
+
+  if (tnf === 4) {
+    return { recordType: 'external', ...decodeNdefData('', payload) };
+  }
+
+  return { recordType: 'unknown', payloadHex: bytesToHex(payload) };
+}
+
+/**
+ * Decode a MIME or external-type payload: JSON as an object, text as a
+ * string, anything else as hex.
+ */
+function decodeNdefData(mimeType, payload) {
+  const text = utf8DecodeStrict(payload);
+  if (text === null) return { payloadHex: bytesToHex(payload) };
+  if (/json/i.test(mimeType) || mimeType === '') {
+    try {
+      return { data: JSON.parse(text) };
+    } catch (_) {
+      // not JSON — fall through to text
+    }
+  }
+  return { data: text };
+}
+
+function utf8Decode(bytes) {
+  return new TextDecoder('utf-8').decode(new Uint8Array(bytes));
+}
+
+// UTF-8 decode that returns null for binary data instead of U+FFFD soup
+function utf8DecodeStrict(bytes) {
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(new Uint8Array(bytes));
+    return /[\x00-\x08\x0E-\x1F]/.test(text) ? null : text;
+  } catch (_) {
+    return null;
+  }
+}
+
+// --- Writing ---
+
+/**
+ * Encode records into an NDEF message. Each input record is one of
+ *   { type: 'uri', value: 'https://…' }
+ *   { type: 'text', value: 'Hello', lang: 'en' }
+ *   { type: 'json', value: { … } }        (MIME application/json)
+ */
+function encodeNdefMessage(records) {
+  const bytes = [];
+  records.forEach((r, idx) => {
+    let tnf;
+    let type;
+    let payload;
+    switch (r.type) {
+      case 'uri': {
+        // Use the longest matching URI identifier code to save tag memory
+        let code = 0;
+        NDEF_URI_PREFIXES.forEach((prefix, i) => {
+          if (i > 0 && r.value.startsWith(prefix) && prefix.length > NDEF_URI_PREFIXES[code].length) code = i;
+        });
+        tnf = 1;
+        type = utf8Encode('U');
+        payload = [code, ...utf8Encode(r.value.slice(NDEF_URI_PREFIXES[code].length))];
+        break;
+      }
+      case 'text': {
+        const lang = utf8Encode(r.lang || 'en');
+        tnf = 1;
+        type = utf8Encode('T');
+        payload = [lang.length & 0x3F, ...lang, ...utf8Encode(r.value)];
+        break;
+      }
+      case 'json':
+        tnf = 2;
+        type = utf8Encode('application/json');
+        payload = utf8Encode(JSON.stringify(r.value));
+        break;
+      default:
+        throw new Error('Unsupported record type: ' + r.type);
+    }
+
+    const shortRecord = payload.length < 256;
+    let header = tnf;
+    if (idx === 0) header |= 0x80;                    // MB
+    if (idx === records.length - 1) header |= 0x40;   // ME
+    if (shortRecord) header |= 0x10;                  // SR
+    bytes.push(header, type.length);
+    if (shortRecord) {
+      bytes.push(payload.length);
+    } else {
+      bytes.push((payload.length >>> 24) & 0xFF, (payload.length >>> 16) & 0xFF,
+        (payload.length >>> 8) & 0xFF, payload.length & 0xFF);
+    }
+    bytes.push(...type, ...payload);
+  });
+  return bytes;
+}
+
+/**
+ * Wrap an NDEF message in an NDEF TLV plus terminator after prefix (bytes
+ * to keep at the start of the first page), padded to whole Type 2 pages.
+ */
+function buildType2Memory(message, prefix = []) {
+  const tlv = message.length < 0xFF
+    ? [TLV_NDEF_MESSAGE, message.length]
+    : [TLV_NDEF_MESSAGE, 0xFF, (message.length >> 8) & 0xFF, message.length & 0xFF];
+  const memory = [...prefix, ...tlv, ...message, TLV_TERMINATOR];
+  while (memory.length % T2_PAGE_SIZE !== 0) memory.push(0x00);
+  return memory;
+}
+
+/**
+ * Write an NDEF message to a Type 2 tag with UPDATE BINARY, read it back
+ * and compare. Lock and Memory Control TLVs at the start of user memory
+ * (MIFARE Ultralight C ships with one) are kept and the message written
+ * after them. With lock set, the CC is marked read-only and the static lock
+ * bits (pages 3-15) are set afterwards, plus the dynamic lock bits a Lock
+ * Control TLV points to — this cannot be undone. Tags with more memory but
+ * no Lock Control TLV (NTAG213/215/216) keep their dynamic lock bits, so
+ * pages from 16 on stay writable; unlockedPages reports them.
+ * Throws on any failure; returns { bytesWritten, locked, unlockedPages }
+ * on success, unlockedPages being { from, to } or null.
+ * @param {PcscClient} client
+ * @param {object} card - { handle, protocol } from connectCard
+ * @param {Array<number>} message - output of encodeNdefMessage
+ * @param {object} [options] - { lock }
+ */
+async function writeType2Ndef(client, card, message, options = {}) {
+  const cc = await client.readBinary(card.handle, card.protocol, T2_CC_PAGE, T2_PAGE_SIZE);
+  if (cc[0] !== NDEF_MAGIC) throw new Error('Tag is not NDEF formatted');
+  if ((cc[3] & 0x0F) !== 0x00) throw new Error('Tag is write-protected');
+  const size = cc[2] * 8;
+
+  // Find the control TLVs to keep; memory holding nothing else is read to the end
+  const head = [];
+  let controls = scanControlTlvs(head);
+  while (!controls.complete && head.length < size) {
+    const chunk = await client.readBinary(card.handle, card.protocol, T2_DATA_PAGE + head.length / T2_PAGE_SIZE,
+      T2_READ_CHUNK);
+    if (chunk.length === 0) break;
+    head.push(...chunk);
+    controls = scanControlTlvs(head.slice(0, size));
+  }
+
+  const firstPage = T2_DATA_PAGE + Math.floor(controls.end / T2_PAGE_SIZE);
+  const offset = (firstPage - T2_DATA_PAGE) * T2_PAGE_SIZE;
+  const memory = buildType2Memory(message, head.slice(offset, controls.end));
+  if (offset + memory.length > size) {
+    throw new Error(`Message needs ${offset + memory.length} bytes but the tag holds ${size}`);
+  }
+  const start = firstPage * T2_PAGE_SIZE;
+  const reserved = controls.reserved.find(a => a.address < start + memory.length && a.address + a.size > start);
+  if (reserved) throw new Error(`Message would overwrite memory reserved at byte ${reserved.address}`);
+
+  for (let i = 0; i < memory.length; i += T2_PAGE_SIZE) {
+    await client.updateBinary(card.handle, card.protocol, firstPage + i / T2_PAGE_SIZE,
+      memory.slice(i, i + T2_PAGE_SIZE));
+  }
+
+  // Read back and verify
+  const readBack = [];
+  let page = firstPage;
+  while (readBack.length < memory.length) {
+    const chunk = await client.readBinary(card.handle, card.protocol, page, T2_READ_CHUNK);
+    if (chunk.length === 0) break;
+    readBack.push(...chunk);
+    page += Math.ceil(chunk.length / T2_PAGE_SIZE);
+  }
+  for (let i = 0; i < memory.length; i++) {
+    if (readBack[i] !== memory[i]) {
+      throw new Error(`Verification failed at byte ${offset + i} (page ${firstPage + Math.floor(i / T2_PAGE_SIZE)})`);
+    }
+  }
+
+  const bytesWritten = memory.length - (controls.end - offset);
+  if (!options.lock) return { bytesWritten, locked: false, unlockedPages: null };
+
+  // CC access byte 0x0F = no write access, then static and dynamic lock bytes
+  await client.updateBinary(card.handle, card.protocol, T2_CC_PAGE, [cc[0], cc[1], cc[2], 0x0F]);
+  await client.updateBinary(card.handle, card.protocol, 2, [0x00, 0x00, 0xFF, 0xFF]);
+  let lockedBytes = 0;
+  for (const lock of controls.locks) {
+    await setLockBits(client, card, lock);
+    lockedBytes += lock.bits * lock.bytesPerBit;
+  }
+
+  // Dynamic lock bits cover the pages after the static lock area, in order
+  const lastPage = T2_DATA_PAGE + size / T2_PAGE_SIZE - 1;
+  const lockedThrough = T2_STATIC_LOCK_LAST_PAGE + Math.floor(lockedBytes / T2_PAGE_SIZE);
+  const unlockedPages = lockedThrough < lastPage ? { from: lockedThrough + 1, to: lastPage } : null;
+  return { bytesWritten, locked: true, unlockedPages };
+}
+
+/**
+ * Set every bit of a dynamic lock area, keeping the other bytes of its pages.
+ */
+async function setLockBits(client, card, { address, bits }) {
+  const values = new Array(Math.floor(bits / 8)).fill(0xFF);
+  if (bits % 8) values.push((1 << (bits % 8)) - 1);
+
+  const firstPage = Math.floor(address / T2_PAGE_SIZE);
+  const lastPage = Math.floor((address + values.length - 1) / T2_PAGE_SIZE);
+  for (let page = firstPage; page <= lastPage; page++) {
+    const data = (await client.readBinary(card.handle, card.protocol, page, T2_PAGE_SIZE)).slice(0, T2_PAGE_SIZE);
+    for (let i = 0; i < T2_PAGE_SIZE; i++) {
+      const v = values[page * T2_PAGE_SIZE + i - address];
+      if (v !== undefined) data[i] |= v;
+    }
+    await client.updateBinary(card.handle, card.protocol, page, data);
+  }
+}
+
+function utf8Encode(text) {
+  return Array.from(new TextEncoder().encode(text));
+}
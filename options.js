@@ -6,14 +6,150 @@ const els = {
   modeEvent: document.getElementById('modeEvent'),
   modePoll: document.getElementById('modePoll'),
   endpointUrl: document.getElementById('endpointUrl'),
+  transports: document.querySelectorAll('input[name="transport"]'),
+  wsFields: document.getElementById('wsFields'),
+  wsUrl: document.getElementById('wsUrl'),
   venueId: document.getElementById('venueId'),
   clientId: document.getElementById('clientId'),
+  // Payload
+  httpMethods: document.querySelectorAll('input[name="httpMethod"]'),
+  deliveryModes: document.querySelectorAll('input[name="deliveryMode"]'),
+  requestTimeoutSeconds: document.getElementById('requestTimeoutSeconds'),
+  maxInFlightRequests: document.getElementById('maxInFlightRequests'),
+  uidEncodings: document.querySelectorAll('input[name="uidEncoding"]'),
+  uidTruncates: document.querySelectorAll('input[name="uidTruncate"]'),
+  uidReverse: document.getElementById('uidReverse'),
+  uidSeparator: document.getElementById('uidSeparator'),
+  uidFormatPreview: document.getElementById('uidFormatPreview'),
+  payloadTemplate: document.getElementById('payloadTemplate'),
+  staticFields: document.getElementById('staticFields'),
+  placeholderList: document.getElementById('placeholderList'),
+  atrDetailsInPayload: document.getElementById('atrDetailsInPayload'),
+  mifareReads: document.getElementById('mifareReads'),
+  apduScripts: document.getElementById('apduScripts'),
+  routingRules: document.getElementById('routingRules'),
+  ndefEnabled: document.getElementById('ndefEnabled'),
+  provisioningUrl: document.getElementById('provisioningUrl'),
+  // Duplicate reads
+  cooldownSeconds: document.getElementById('cooldownSeconds'),
+  repeatEvent: document.getElementById('repeatEvent'),
+  // Reader feedback
+  feedbackEnabled: document.getElementById('feedbackEnabled'),
+  feedbackDevices: document.querySelectorAll('input[name="feedbackDevice"]'),
+  feedbackProfiles: document.getElementById('feedbackProfiles'),
+  // Desktop notifications
+  notifyCardRead: document.getElementById('notifyCardRead'),
+  notifyHttpError: document.getElementById('notifyHttpError'),
+  notifyNetworkError: document.getElementById('notifyNetworkError'),
+  notifyConnectionLost: document.getElementById('notifyConnectionLost'),
+  notifyReaderRemoved: document.getElementById('notifyReaderRemoved'),
+  // Scan history retention
+  historyMaxDays: document.getElementById('historyMaxDays'),
+  historyMaxEntries: document.getElementById('historyMaxEntries'),
+  // Web page bridge
+  bridgeOrigins: document.getElementById('bridgeOrigins'),
+  // PC/SC backend
+  pcscBackends: document.querySelectorAll('input[name="pcscBackend"]'),
+  simulatorFields: document.getElementById('simulatorFields'),
+  simulatorScenario: document.getElementById('simulatorScenario'),
+  // Authentication
+  authModes: document.querySelectorAll('input[name="authMode"]'),
+  bearerFields: document.getElementById('bearerFields'),
+  apiKeyFields: document.getElementById('apiKeyFields'),
+  hmacFields: document.getElementById('hmacFields'),
+  authToken: document.getElementById('authToken'),
+  apiKeyHeader: document.getElementById('apiKeyHeader'),
+  apiKeyValue: document.getElementById('apiKeyValue'),
+  hmacSecret: document.getElementById('hmacSecret'),
+  hmacKeyId: document.getElementById('hmacKeyId'),
+  // ATR database
+  atrDbFile: document.getElementById('atrDbFile'),
+  atrDbRemove: document.getElementById('atrDbRemove'),
+  atrDbStatus: document.getElementById('atrDbStatus'),
+  atrDbSearch: document.getElementById('atrDbSearch'),
+  atrDbResults: document.getElementById('atrDbResults'),
+  managedBanner: document.getElementById('managedBanner'),
   saveBtn: document.getElementById('saveBtn'),
   savedMsg: document.getElementById('savedMsg'),
+  saveError: document.getElementById('saveError'),
 };
 
+const AUTH_KEYS = ['authMode', 'authToken', 'apiKeyHeader', 'apiKeyValue', 'hmacSecret', 'hmacKeyId'];
+const PAYLOAD_KEYS = [
+  'httpMethod', 'payloadTemplate', 'staticFields', 'atrDetailsInPayload', 'mifareReads', 'apduScripts',
+  'ndefEnabled', 'provisioningUrl', 'routingRules',
+];
+const DELIVERY_KEYS = ['deliveryMode', 'requestTimeoutSeconds', 'maxInFlightRequests'];
+const UID_FORMAT_KEYS = ['uidEncoding', 'uidReverse', 'uidSeparator', 'uidTruncate'];
+const COOLDOWN_KEYS = ['cooldownSeconds', 'repeatMode'];
+const FEEDBACK_KEYS = ['feedbackEnabled', 'feedbackDevice', 'feedbackProfiles'];
+const NOTIFY_KEYS = ['notifyCardRead', 'notifyHttpError', 'notifyNetworkError', 'notifyConnectionLost', 'notifyReaderRemoved'];
+const HISTORY_KEYS = ['historyMaxDays', 'historyMaxEntries'];
+
+// Keys set by enterprise policy (chrome.storage.managed); shown read-only
+// and never written to local storage
+let managedKeys = [];
+
+function checkedValue(radios, fallback) {
+  const checked = Array.from(radios).find((r) => r.checked);
+  return checked ? checked.value : fallback;
+}
+
+function selectedAuthMode() {
+  return checkedValue(els.authModes, 'none');
+}
+
+// Show the scenario only for the simulator backend
+function updateBackendFields() {
+  els.simulatorFields.classList.toggle('hidden', checkedValue(els.pcscBackends, 'connector') !== 'simulator');
+}
+
+// UID used to preview the UID format
+const SAMPLE_UID = '04:A1:B2:C3:D4:E5:F6';
+
+function selectedUidFormat() {
+  return {
+    encoding: checkedValue(els.uidEncodings, 'hex'),
+    reverse: els.uidReverse.checked,
+    separator: els.uidSeparator.value,
+    truncate: Number(checkedValue(els.uidTruncates, '0')),
+  };
+}
+
+function updateUidFormatPreview() {
+  const parsed = parseUidFormat(selectedUidFormat());
+  els.uidFormatPreview.textContent = parsed.error
+    ? ''
+    : SAMPLE_UID + ' → ' + formatUid(SAMPLE_UID, parsed.format).value;
+}
+
+// Show the WebSocket URL only for the WebSocket transport
+function updateTransportFields() {
+  els.wsFields.classList.toggle('hidden', checkedValue(els.transports, 'http') !== 'websocket');
+}
+
+// Show only the fields for the selected auth mode
+function updateAuthFields() {
+  const mode = selectedAuthMode();
+  els.bearerFields.classList.toggle('hidden', mode !== 'bearer');
+  els.apiKeyFields.classList.toggle('hidden', mode !== 'apiKey');
+  els.hmacFields.classList.toggle('hidden', mode !== 'hmac');
+}
+
 async function load() {
-  const stored = await chrome.storage.local.get(['detectionMode', 'endpointUrl', 'venueId', 'clientId']);
+  const local = await chrome.storage.local.get([
+    'detectionMode', 'endpointUrl', 'transport', 'wsUrl', 'venueId', 'clientId', ...AUTH_KEYS, ...PAYLOAD_KEYS, ...DELIVERY_KEYS, ...UID_FORMAT_KEYS, ...COOLDOWN_KEYS,
+    ...FEEDBACK_KEYS, ...NOTIFY_KEYS, ...HISTORY_KEYS, 'bridgeOrigins',
+    'pcscBackend', 'simulatorScenario',
+  ]);
+  let managed = {};
+  try {
+    managed = await chrome.storage.managed.get(null);
+  } catch (_) {
+    // No policy support on this platform
+  }
+  managedKeys = Object.keys(managed).filter((key) => settingControls(key).length > 0);
+  const stored = { ...local, ...managed };
 
   if (stored.detectionMode === 'poll') {
     els.modePoll.checked = true;
@@ -22,20 +158,352 @@ async function load() {
   }
 
   els.endpointUrl.value = stored.endpointUrl || '';
+  const transport = stored.transport || 'http';
+  els.transports.forEach((r) => { r.checked = r.value === transport; });
+  els.wsUrl.value = stored.wsUrl || '';
+  updateTransportFields();
   els.venueId.value = stored.venueId || '';
   els.clientId.textContent = stored.clientId || 'Not yet generated (open popup first)';
+
+  const authMode = stored.authMode || 'none';
+  els.authModes.forEach((r) => { r.checked = r.value === authMode; });
+  els.authToken.value = stored.authToken || '';
+  els.apiKeyHeader.value = stored.apiKeyHeader || '';
+  els.apiKeyValue.value = stored.apiKeyValue || '';
+  els.hmacSecret.value = stored.hmacSecret || '';
+  els.hmacKeyId.value = stored.hmacKeyId || '';
+  updateAuthFields();
+
+  const httpMethod = stored.httpMethod || 'POST';
+  els.httpMethods.forEach((r) => { r.checked = r.value === httpMethod; });
+  els.payloadTemplate.value = stored.payloadTemplate || '';
+  els.staticFields.value = stored.staticFields || '';
+  els.atrDetailsInPayload.checked = !!stored.atrDetailsInPayload;
+  els.mifareReads.value = stored.mifareReads || '';
+  els.apduScripts.value = stored.apduScripts || '';
+  els.ndefEnabled.checked = stored.ndefEnabled !== false;
+  els.provisioningUrl.value = stored.provisioningUrl || '';
+  els.routingRules.value = stored.routingRules || '';
+
+  const deliveryMode = stored.deliveryMode || 'blocking';
+  els.deliveryModes.forEach((r) => { r.checked = r.value === deliveryMode; });
+  els.requestTimeoutSeconds.value = stored.requestTimeoutSeconds ?? 10;
+  els.maxInFlightRequests.value = stored.maxInFlightRequests ?? 4;
+
+  const uidEncoding = stored.uidEncoding || 'hex';
+  const uidTruncate = String(stored.uidTruncate ?? 0);
+  els.uidEncodings.forEach((r) => { r.checked = r.value === uidEncoding; });
+  els.uidTruncates.forEach((r) => { r.checked = r.value === uidTruncate; });
+  els.uidReverse.checked = !!stored.uidReverse;
+  els.uidSeparator.value = stored.uidSeparator ?? ':';
+  updateUidFormatPreview();
+
+  els.placeholderList.textContent = Object.keys(TEMPLATE_ROOTS).map((k) => '{{' + k + '}}').join(', ');
+
+  els.cooldownSeconds.value = stored.cooldownSeconds || '';
+  els.repeatEvent.checked = stored.repeatMode === 'event';
+
+  const feedbackDevice = stored.feedbackDevice || 'auto';
+  els.feedbackEnabled.checked = !!stored.feedbackEnabled;
+  els.feedbackDevices.forEach((r) => { r.checked = r.value === feedbackDevice; });
+  els.feedbackProfiles.value = stored.feedbackProfiles || '';
+
+  for (const key of NOTIFY_KEYS) els[key].checked = !!stored[key];
+
+  els.historyMaxDays.value = stored.historyMaxDays ?? 30;
+  els.historyMaxEntries.value = stored.historyMaxEntries ?? 10000;
+
+  els.bridgeOrigins.value = stored.bridgeOrigins || '';
+
+  const pcscBackend = stored.pcscBackend || 'connector';
+  els.pcscBackends.forEach((r) => { r.checked = r.value === pcscBackend; });
+  els.simulatorScenario.value = stored.simulatorScenario || '';
+  updateBackendFields();
+
+  lockManaged();
+}
+
+/**
+ * Inputs that edit a setting key.
+ */
+function settingControls(key) {
+  const groups = {
+    detectionMode: [els.modeEvent, els.modePoll],
+    authMode: els.authModes,
+    transport: els.transports,
+    httpMethod: els.httpMethods,
+    deliveryMode: els.deliveryModes,
+    uidEncoding: els.uidEncodings,
+    uidTruncate: els.uidTruncates,
+    repeatMode: [els.repeatEvent],
+    feedbackDevice: els.feedbackDevices,
+    pcscBackend: els.pcscBackends,
+  };
+  if (groups[key]) return Array.from(groups[key]);
+  return els[key] instanceof HTMLInputElement || els[key] instanceof HTMLTextAreaElement ? [els[key]] : [];
+}
+
+// Grey out policy-set inputs and mark their fields
+function lockManaged() {
+  document.querySelectorAll('.field.managed').forEach((f) => f.classList.remove('managed'));
+  document.querySelectorAll('input:disabled, textarea:disabled').forEach((c) => {
+    if (c.dataset.managed) {
+      c.disabled = false;
+      c.title = '';
+      delete c.dataset.managed;
+    }
+  });
+
+  for (const key of managedKeys) {
+    for (const control of settingControls(key)) {
+      control.disabled = true;
+      control.dataset.managed = key;
+      control.title = 'Set by your organization';
+      control.closest('.field').classList.add('managed');
+    }
+  }
+  els.managedBanner.classList.toggle('hidden', managedKeys.length === 0);
+}
+
+/**
+ * Returns an error message if the WebSocket URL is missing or not ws(s), else null.
+ */
+function validateTransport(transport, wsUrl) {
+  if (transport !== 'websocket') return null;
+  if (!wsUrl) return 'WebSocket URL is required';
+  let url;
+  try {
+    url = new URL(wsUrl);
+  } catch (_) {
+    return 'WebSocket URL must be an absolute ws:// or wss:// URL';
+  }
+  if (url.protocol !== 'ws:' && url.protocol !== 'wss:') return 'WebSocket URL must start with ws:// or wss://';
+  return null;
+}
+
+/**
+ * Returns an error message if the auth settings are incomplete, else null.
+ */
+function validateAuth(auth) {
+  if (auth.authMode === 'bearer' && !auth.authToken) return 'Bearer token is required';
+  if (auth.authMode === 'apiKey') {
+    if (!auth.apiKeyValue) return 'API key is required';
+    if (auth.apiKeyHeader && !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(auth.apiKeyHeader)) {
+      return 'Invalid header name';
+    }
+  }
+  if (auth.authMode === 'hmac' && !auth.hmacSecret) return 'Signing secret is required';
+  return null;
+}
+
+/**
+ * Returns an error message if the payload template or static fields are
+ * invalid, else null.
+ */
+function validatePayload(payload) {
+  const parsed = parseTemplate(payload.payloadTemplate);
+  if (parsed.error) return 'Payload template: ' + parsed.error;
+  const statics = parseStaticFields(payload.staticFields);
+  if (statics.error) return 'Static fields: ' + statics.error;
+  if (statics.fields && Array.isArray(parsed.template)) {
+    return 'Static fields require the payload template to be a JSON object';
+  }
+  const routes = parseRoutingRules(payload.routingRules);
+  if (routes.error) return 'Routing rules: ' + routes.error;
+  const mifare = parseMifareReads(payload.mifareReads);
+  if (mifare.error) return 'MIFARE reads: ' + mifare.error;
+  const scripts = parseApduScripts(payload.apduScripts);
+  if (scripts.error) return 'APDU scripts: ' + scripts.error;
+
+  // Both end up in card_data, so names must not collide
+  const mifareNames = mifare.reads.map((r) => r.name);
+  for (const script of scripts.scripts) {
+    for (const step of script.steps) {
+      const clash = step.extract.find((rule) => mifareNames.includes(rule.name));
+      if (clash) return 'APDU scripts: value "' + clash.name + '" is also a MIFARE read name';
+    }
+  }
+  return null;
 }
 
 async function save() {
   const detectionMode = els.modePoll.checked ? 'poll' : 'event';
   const endpointUrl = els.endpointUrl.value.trim();
+  const transport = checkedValue(els.transports, 'http');
+  const wsUrl = els.wsUrl.value.trim();
   const venueId = els.venueId.value.trim();
+  const auth = {
+    authMode: selectedAuthMode(),
+    authToken: els.authToken.value.trim(),
+    apiKeyHeader: els.apiKeyHeader.value.trim(),
+    apiKeyValue: els.apiKeyValue.value.trim(),
+    hmacSecret: els.hmacSecret.value,
+    hmacKeyId: els.hmacKeyId.value.trim(),
+  };
+
+  const payload = {
+    httpMethod: checkedValue(els.httpMethods, 'POST'),
+    payloadTemplate: els.payloadTemplate.value.trim(),
+    staticFields: els.staticFields.value.trim(),
+    atrDetailsInPayload: els.atrDetailsInPayload.checked,
+    mifareReads: els.mifareReads.value.trim(),
+    apduScripts: els.apduScripts.value.trim(),
+    ndefEnabled: els.ndefEnabled.checked,
+    provisioningUrl: els.provisioningUrl.value.trim(),
+    routingRules: els.routingRules.value.trim(),
+  };
+
+  const delivery = {
+    deliveryMode: checkedValue(els.deliveryModes, 'blocking'),
+    requestTimeoutSeconds: els.requestTimeoutSeconds.value.trim() === '' ? 10 : Number(els.requestTimeoutSeconds.value),
+    maxInFlightRequests: els.maxInFlightRequests.value.trim() === '' ? 4 : Number(els.maxInFlightRequests.value),
+  };
+  if (!Number.isInteger(delivery.requestTimeoutSeconds) || delivery.requestTimeoutSeconds < 0) {
+    els.saveError.textContent = 'Request timeout must be a whole number of seconds (0 = no timeout)';
+    return;
+  }
+  if (!Number.isInteger(delivery.maxInFlightRequests) || delivery.maxInFlightRequests < 1) {
+    els.saveError.textContent = 'Max concurrent requests must be a whole number of at least 1';
+    return;
+  }
+
+  const uid = selectedUidFormat();
+  const uidError = parseUidFormat(uid).error;
+  const uidFormat = { uidEncoding: uid.encoding, uidReverse: uid.reverse, uidSeparator: uid.separator, uidTruncate: uid.truncate };
+
+  const cooldownSeconds = els.cooldownSeconds.value.trim() === '' ? 0 : Number(els.cooldownSeconds.value);
+  if (!Number.isInteger(cooldownSeconds) || cooldownSeconds < 0) {
+    els.saveError.textContent = 'Cooldown must be a whole number of seconds';
+    return;
+  }
+  const repeatMode = els.repeatEvent.checked ? 'event' : 'ignore';
+
+  const history = {};
+  for (const key of HISTORY_KEYS) {
+    const value = els[key].value.trim() === '' ? 0 : Number(els[key].value);
+    if (!Number.isInteger(value) || value < 0) {
+      els.saveError.textContent = 'History limits must be whole numbers (0 = no limit)';
+      return;
+    }
+    history[key] = value;
+  }
+
+  const feedback = {
+    feedbackEnabled: els.feedbackEnabled.checked,
+    feedbackDevice: checkedValue(els.feedbackDevices, 'auto'),
+    feedbackProfiles: els.feedbackProfiles.value.trim(),
+  };
+  const profiles = parseFeedbackProfiles(feedback.feedbackProfiles);
 
-  await chrome.storage.local.set({ detectionMode, endpointUrl, venueId });
+  const notify = {};
+  for (const key of NOTIFY_KEYS) notify[key] = els[key].checked;
+
+  const bridgeOrigins = els.bridgeOrigins.value.trim();
+  const bridge = parseBridgeOrigins(bridgeOrigins);
+
+  const backend = {
+    pcscBackend: checkedValue(els.pcscBackends, 'connector'),
+    simulatorScenario: els.simulatorScenario.value.trim(),
+  };
+  const scenario = parseSimulatorScenario(backend.simulatorScenario);
+
+  const error = validateTransport(transport, wsUrl) || validateAuth(auth) || validatePayload(payload) ||
+    (uidError ? 'UID format: ' + uidError : null) ||
+    (profiles.error ? 'Feedback profiles: ' + profiles.error : null) ||
+    (bridge.error ? 'Bridge origins: ' + bridge.error : null) ||
+    (scenario.error ? 'Simulator scenario: ' + scenario.error : null);
+  els.saveError.textContent = error || '';
+  if (error) return;
+
+  const values = {
+    detectionMode, endpointUrl, transport, wsUrl, venueId, ...auth, ...payload, ...delivery, ...uidFormat, cooldownSeconds, repeatMode, ...feedback, ...notify, ...history,
+    bridgeOrigins, ...backend,
+  };
+  for (const key of managedKeys) delete values[key];
+  await chrome.storage.local.set(values);
 
   els.savedMsg.classList.add('visible');
   setTimeout(() => els.savedMsg.classList.remove('visible'), 2000);
 }
 
+// --- ATR database ---
+// Imported and removed directly, independent of the Save button.
+
+let atrDbCompiled = [];
+
+async function loadAtrDb() {
+  const stored = await chrome.storage.local.get(ATR_DATABASE_KEY);
+  showAtrDb(stored[ATR_DATABASE_KEY]);
+}
+
+function showAtrDb(db, skipped) {
+  atrDbCompiled = db ? compileAtrDatabase(db.entries) : [];
+  els.atrDbRemove.disabled = !db;
+  els.atrDbStatus.textContent = db
+    ? db.entries.length + ' entries from ' + db.source + ', imported ' + new Date(db.importedAt).toLocaleString() +
+      (skipped ? ' (' + skipped + ' invalid entries skipped)' : '')
+    : 'No database imported';
+  searchAtrDb();
+}
+
+async function importAtrDb() {
+  const file = els.atrDbFile.files[0];
+  if (!file) return;
+  const { entries, skipped } = parseSmartcardList(await file.text());
+  els.atrDbFile.value = '';
+  if (entries.length === 0) {
+    els.atrDbStatus.textContent = file.name + ' contains no ATR entries';
+    return;
+  }
+  const db = { source: file.name, importedAt: new Date().toISOString(), entries };
+  try {
+    await chrome.storage.local.set({ [ATR_DATABASE_KEY]: db });
+  } catch (e) {
+    els.atrDbStatus.textContent = 'Import failed: ' + e.message;
+    return;
+  }
+  showAtrDb(db, skipped);
+}
+
+async function removeAtrDb() {
+  await chrome.storage.local.remove(ATR_DATABASE_KEY);
+  showAtrDb(null);
+}
+
+function searchAtrDb() {
+  els.atrDbResults.innerHTML = '';
+  for (const entry of searchAtrDatabase(atrDbCompiled, els.atrDbSearch.value)) {
+    const row = document.createElement('div');
+    row.className = 'atr-db-entry';
+    const pattern = document.createElement('div');
+    pattern.className = 'atr-db-pattern';
+    pattern.textContent = entry.mask ? entry.pattern + ' / ' + entry.mask : entry.pattern;
+    row.appendChild(pattern);
+    for (const description of entry.descriptions) {
+      const line = document.createElement('div');
+      line.textContent = description;
+      row.appendChild(line);
+    }
+    els.atrDbResults.appendChild(row);
+  }
+}
+
+els.atrDbFile.addEventListener('change', importAtrDb);
+els.atrDbRemove.addEventListener('click', removeAtrDb);
+els.atrDbSearch.addEventListener('input', searchAtrDb);
+
+els.authModes.forEach((r) => r.addEventListener('change', updateAuthFields));
+els.transports.forEach((r) => r.addEventListener('change', updateTransportFields));
+els.uidEncodings.forEach((r) => r.addEventListener('change', updateUidFormatPreview));
+els.uidTruncates.forEach((r) => r.addEventListener('change', updateUidFormatPreview));
+els.uidReverse.addEventListener('change', updateUidFormatPreview);
+els.uidSeparator.addEventListener('input', updateUidFormatPreview);
+els.pcscBackends.forEach((r) => r.addEventListener('change', updateBackendFields));
 els.saveBtn.addEventListener('click', save);
 document.addEventListener('DOMContentLoaded', load);
+document.addEventListener('DOMContentLoaded', loadAtrDb);
+
+// Policy updates apply while the page is open
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'managed') load();
+});
@@ -0,0 +1,60 @@
+/**
+ * Web page bridge: lets allowlisted web apps subscribe to card events.
+ * Loaded by the background worker (to check connecting pages and register
+ * the content script) and the options page (to validate the setting on
+ * save).
+ *
+ * Pages talk to the background worker over a runtime port, either directly
+ * (chrome.runtime.connect(extensionId), for origins also listed under
+ * externally_connectable in the manifest) or through bridge-content.js,
+ * which relays window.postMessage. The protocol is the same both ways:
+ *   page -> extension  { id, type: 'getState' }
+ *   page -> extension  { id, type: 'subscribe', handleReads }
+ *   page -> extension  { id, type: 'unsubscribe' }
+ *   extension -> page  { id, type: 'state' | 'subscribed' | 'unsubscribed' | 'error', ... }
+ *   extension -> page  { type: 'cardPresent', reader, uid, atr, cardInfo, timestamp }
+ *   extension -> page  { type: 'cardRemoved', reader, uid, timestamp }
+ * id is optional and echoed in the reply. While a subscriber with
+ * handleReads is connected, reads are not sent to the endpoint.
+ */
+
+const BRIDGE_PORT_NAME = 'page-bridge';
+const BRIDGE_SCRIPT_ID = 'page-bridge';
+
+/**
+ * Parse the allowlist setting: one origin per line, e.g.
+ * "https://checkin.example.com" or "http://localhost:8080". Returns
+ * { origins } (normalized) or { error }.
+ */
+function parseBridgeOrigins(text) {
+  const origins = [];
+  for (const line of (text || '').split('\n')) {
+    const value = line.trim();
+    if (!value) continue;
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch (_) {
+      return { error: '"' + value + '" is not an origin (e.g. https://app.example.com)' };
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return { error: '"' + value + '" must be http or https' };
+    }
+    if (url.pathname !== '/' || url.search || url.hash || url.username) {
+      return { error: '"' + value + '" must be an origin only, without a path' };
+    }
+    if (!origins.includes(url.origin)) origins.push(url.origin);
+  }
+  return { origins };
+}
+
+/**
+ * Content script match pattern for an origin. Match patterns cannot name
+ * a port, so this covers every port on the host; connecting pages are
+ * checked against the exact origin.
+ */
+function bridgeMatchPattern(origin) {
+  const url = new URL(origin);
+  return url.protocol + '//' + url.hostname + '/*';
+}
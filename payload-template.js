@@ -0,0 +1,135 @@
+/**
+ * Payload templates: user-defined JSON bodies with {{placeholder}} values.
+ * Loaded by the background worker (to build request bodies) and the options
+ * page (to validate on save).
+ *
+ * A string that consists of a single placeholder, e.g. "{{cardInfo}}", is
+ * replaced by the raw value so numbers, nulls and objects keep their type.
+ * Placeholders embedded in longer strings are interpolated as text, with
+ * missing values rendered as an empty string.
+ */
+
+const TEMPLATE_PLACEHOLDER_RE = /\{\{\s*([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\s*\}\}/g;
+const TEMPLATE_SINGLE_RE = /^\{\{\s*([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\s*\}\}$/;
+
+/**
+ * Top-level names a placeholder may start with. Nested paths such as
+ * cardInfo.cardName are allowed below any of these.
+ */
+const TEMPLATE_ROOTS = {
+  uid: 'Card UID, e.g. AA:BB:CC:DD',
+  uidFormatted: 'Card UID in the UID Format setting (or the routing target\'s uidFormat)',
+  wiegand: 'Wiegand facilityCode, cardNumber and bits, when the UID format is Wiegand',
+  atr: 'Card ATR as hex',
+  cardInfo: 'Parsed card info (cardName, standard, cardType, rid, historicalBytes)',
+  atrDetails: 'Decoded ATR (convention, protocols, Fi/Di, T=1 parameters, TCK, historical objects)',
+  mifare: 'Decoded MIFARE Classic block reads, keyed by read name',
+  scripts: 'Values extracted by APDU scripts, keyed by value name',
+  ndef: 'NDEF records read from Type 2 tags (array)',
+  reader: 'Name of the reader the card was presented to',
+  timestamp: 'ISO 8601 time the payload was rendered',
+  venueId: 'Venue ID from settings',
+  clientId: 'Client ID of this device',
+};
+
+function resolvePath(context, path) {
+  let value = context;
+  for (const part of path.split('.')) {
+    if (value === null || value === undefined) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+/**
+ * Render a parsed template against a context object.
+ */
+function renderTemplate(template, context) {
+  if (typeof template === 'string') {
+    const single = template.match(TEMPLATE_SINGLE_RE);
+    if (single) {
+      const value = resolvePath(context, single[1]);
+      return value === undefined ? null : value;
+    }
+    return template.replace(TEMPLATE_PLACEHOLDER_RE, (_, path) => {
+      const value = resolvePath(context, path);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, context));
+  }
+  if (template && typeof template === 'object') {
+    const out = {};
+    for (const [key, value] of Object.entries(template)) {
+      out[key] = renderTemplate(value, context);
+    }
+    return out;
+  }
+  return template;
+}
+
+/**
+ * Collect every placeholder path used anywhere in a template.
+ */
+function templatePlaceholders(template, found = []) {
+  if (typeof template === 'string') {
+    for (const m of template.matchAll(TEMPLATE_PLACEHOLDER_RE)) found.push(m[1]);
+  } else if (template && typeof template === 'object') {
+    for (const value of Object.values(template)) templatePlaceholders(value, found);
+  }
+  return found;
+}
+
+/**
+ * Parse and check template text. Returns { template } on success or
+ * { error } describing the first problem found. Empty text is valid and
+ * yields { template: null } (use the built-in body).
+ */
+function parseTemplate(text) {
+  if (!text || !text.trim()) return { template: null };
+
+  let template;
+  try {
+    template = JSON.parse(text);
+  } catch (e) {
+    return { error: 'Invalid JSON: ' + e.message };
+  }
+  if (!template || typeof template !== 'object') {
+    return { error: 'Template must be a JSON object or array' };
+  }
+
+  for (const path of templatePlaceholders(template)) {
+    const root = path.split('.')[0];
+    if (!Object.prototype.hasOwnProperty.call(TEMPLATE_ROOTS, root)) {
+      return { error: 'Unknown placeholder {{' + path + '}}' };
+    }
+  }
+
+  // Catch unbalanced braces that the placeholder pattern silently skipped
+  const stray = JSON.stringify(template).replace(TEMPLATE_PLACEHOLDER_RE, '');
+  if (stray.includes('{{') || stray.includes('}}')) {
+    return { error: 'Malformed placeholder (expected {{name}} or {{name.field}})' };
+  }
+
+  return { template };
+}
+
+/**
+ * Parse the static-fields setting: empty, or a JSON object merged into every
+ * payload. Returns { fields } or { error }.
+ */
+function parseStaticFields(text) {
+  if (!text || !text.trim()) return { fields: null };
+  let fields;
+  try {
+    fields = JSON.parse(text);
+  } catch (e) {
+    return { error: 'Invalid JSON: ' + e.message };
+  }
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return { error: 'Static fields must be a JSON object' };
+  }
+  return { fields };
+}
@@ -4,6 +4,10 @@
  *
  * Protocol: JSON messages over chrome.runtime.connect port.
  * See: https://github.com/GoogleChromeLabs/chromeos_smart_card_connector
+ *
+ * The port is pluggable: pass a function returning any object with the
+ * chrome.runtime.Port interface (postMessage, onMessage, onDisconnect,
+ * disconnect) to talk to another backend, e.g. PcscSimulator.
  */
 
 const SMART_CARD_CONNECTOR_EXT_ID = 'khpfeaanjngmcnplbdlpegiifgpfgdco';
@@ -11,6 +15,8 @@ const SMART_CARD_CONNECTOR_EXT_ID = 'khpfeaanjngmcnplbdlpegiifgpfgdco';
 // PC/SC-Lite constants
 const SCARD_SCOPE_SYSTEM = 2;
 const SCARD_SHARE_SHARED = 2;
+const SCARD_SHARE_DIRECT = 3;
+const SCARD_PROTOCOL_UNDEFINED = 0;
 const SCARD_PROTOCOL_T0 = 1;
 const SCARD_PROTOCOL_T1 = 2;
 const SCARD_PROTOCOL_ANY = SCARD_PROTOCOL_T0 | SCARD_PROTOCOL_T1;
@@ -19,6 +25,9 @@ const SCARD_PCI_T1 = { protocol: SCARD_PROTOCOL_T1 };
 const SCARD_S_SUCCESS = 0;
 const SCARD_LEAVE_CARD = 0;
 
+// SCARD_CTL_CODE(3500): CCID escape, used for reader LED/buzzer commands
+const IOCTL_CCID_ESCAPE = 0x42000000 + 3500;
+
 // SCardGetStatusChange state flags
 const SCARD_STATE_UNAWARE = 0x0000;
 const SCARD_STATE_IGNORE = 0x0001;
@@ -31,15 +40,40 @@ const SCARD_STATE_MUTE = 0x0200;
 
 const SCARD_INFINITE = 0xFFFFFFFF;
 
+// Pseudo-reader name that SCardGetStatusChange uses to report readers
+// being attached or removed. The upper 16 bits of its event_state carry
+// the current reader count.
+const PNP_NOTIFICATION_READER = '\\\\?PnP?\\Notification';
+
 // Error codes
 const SCARD_E_TIMEOUT = 0x8010000A;
 const SCARD_E_CANCELLED = 0x80100002;
+const SCARD_E_UNKNOWN_READER = 0x80100009;
+const SCARD_E_READER_UNAVAILABLE = 0x80100017;
+const SCARD_E_NO_READERS_AVAILABLE = 0x8010002E;
+const SCARD_W_UNRESPONSIVE_CARD = 0x80100066;
 
 // GET DATA pseudo-APDU to read card UID
 const GET_UID_APDU = [0xFF, 0xCA, 0x00, 0x00, 0x00];
 
+// PC/SC Part 3 key types for GENERAL AUTHENTICATE (MIFARE Classic)
+const MIFARE_KEY_A = 0x60;
+const MIFARE_KEY_B = 0x61;
+
+/**
+ * Default transport: a port to the Smart Card Connector extension.
+ */
+function connectSmartCardConnector() {
+  return chrome.runtime.connect(SMART_CARD_CONNECTOR_EXT_ID);
+}
+
 class PcscClient {
-  constructor() {
+  /**
+   * @param {function(): object} [openPort] - returns a chrome.runtime.Port-like
+   *   object speaking the pcsc_lite_function_call protocol
+   */
+  constructor(openPort = connectSmartCardConnector) {
+    this._openPort = openPort;
     this._port = null;
     this._requestId = 0;
     this._pending = new Map(); // request_id -> { resolve, reject }
@@ -48,12 +82,13 @@ class PcscClient {
   }
 
   /**
-   * Open a long-lived port to the Smart Card Connector extension.
+   * Open a long-lived port to the Smart Card Connector extension (or the
+   * configured backend).
    */
   connect() {
     return new Promise((resolve, reject) => {
       try {
-        this._port = chrome.runtime.connect(SMART_CARD_CONNECTOR_EXT_ID);
+        this._port = this._openPort();
       } catch (e) {
         reject(new Error(
           'Failed to connect to Smart Card Connector. Is it installed? ' + e.message
@@ -145,12 +180,19 @@ class PcscClient {
   }
 
   /**
-   * SCardListReaders — return an array of reader names.
+   * SCardListReaders — return an array of reader names (empty if no
+   * readers are attached).
    */
   async listReaders() {
     if (this._context === null) throw new Error('No context established');
-    const result = await this._call('SCardListReaders', [this._context, null]);
-    return result[0]; // array of reader name strings
+    let result;
+    try {
+      result = await this._call('SCardListReaders', [this._context, null]);
+    } catch (e) {
+      if (e instanceof PcscError && e.code === SCARD_E_NO_READERS_AVAILABLE) return [];
+      throw e;
+    }
+    return result[0] || []; // array of reader name strings
   }
 
   /**
@@ -168,6 +210,30 @@ class PcscClient {
     return { handle: result[0], protocol: result[1] };
   }
 
+  /**
+   * SCardConnect in direct mode — talk to the reader itself, with or
+   * without a card present. Returns the handle for control().
+   */
+  async connectDirect(readerName) {
+    if (this._context === null) throw new Error('No context established');
+    const result = await this._call('SCardConnect', [
+      this._context,
+      readerName,
+      SCARD_SHARE_DIRECT,
+      SCARD_PROTOCOL_UNDEFINED
+    ]);
+    return result[0];
+  }
+
+  /**
+   * SCardControl — send a reader control code (e.g. IOCTL_CCID_ESCAPE)
+   * and return the reader's response bytes.
+   */
+  async control(handle, controlCode, data) {
+    const result = await this._call('SCardControl', [handle, controlCode, data]);
+    return result[0];
+  }
+
   /**
    * SCardTransmit — send an APDU to the card and return the response bytes.
    */
@@ -247,6 +313,56 @@ class PcscClient {
     return null;
   }
 
+  /**
+   * Transmit an APDU and return the response data without SW1/SW2.
+   * Throws ApduError unless the card answers 90 00.
+   */
+  async transmitChecked(cardHandle, protocol, apdu) {
+    const response = await this.transmit(cardHandle, protocol, apdu);
+    if (response.length < 2) throw new ApduError(0, 0, 'Short response');
+    const sw1 = response[response.length - 2];
+    const sw2 = response[response.length - 1];
+    if (sw1 !== 0x90 || sw2 !== 0x00) throw new ApduError(sw1, sw2);
+    return response.slice(0, -2);
+  }
+
+  /**
+   * PC/SC Part 3 LOAD KEYS (FF 82) — load a 6-byte key into the reader's
+   * volatile key slot keyNumber.
+   */
+  async loadKey(cardHandle, protocol, keyNumber, keyBytes) {
+    if (keyBytes.length !== 6) throw new Error('MIFARE key must be 6 bytes');
+    await this.transmitChecked(cardHandle, protocol,
+      [0xFF, 0x82, 0x00, keyNumber, 0x06, ...keyBytes]);
+  }
+
+  /**
+   * PC/SC Part 3 GENERAL AUTHENTICATE (FF 86) — authenticate a block with a
+   * previously loaded key. keyType is MIFARE_KEY_A or MIFARE_KEY_B.
+   */
+  async authenticate(cardHandle, protocol, blockNumber, keyType, keyNumber) {
+    await this.transmitChecked(cardHandle, protocol,
+      [0xFF, 0x86, 0x00, 0x00, 0x05, 0x01, 0x00, blockNumber, keyType, keyNumber]);
+  }
+
+  /**
+   * PC/SC Part 3 READ BINARY (FF B0) — read length bytes starting at
+   * blockNumber (a block for MIFARE Classic, a page for Type 2 tags).
+   */
+  async readBinary(cardHandle, protocol, blockNumber, length) {
+    return this.transmitChecked(cardHandle, protocol,
+      [0xFF, 0xB0, (blockNumber >> 8) & 0xFF, blockNumber & 0xFF, length]);
+  }
+
+  /**
+   * PC/SC Part 3 UPDATE BINARY (FF D6) — write data starting at blockNumber
+   * (a 4-byte page for Type 2 tags).
+   */
+  async updateBinary(cardHandle, protocol, blockNumber, data) {
+    await this.transmitChecked(cardHandle, protocol,
+      [0xFF, 0xD6, (blockNumber >> 8) & 0xFF, blockNumber & 0xFF, data.length, ...data]);
+  }
+
   /**
    * Check whether the client still has a live port and context.
    */
@@ -281,6 +397,18 @@ class PcscError extends Error {
   }
 }
 
+/**
+ * Card answered an APDU with a status word other than 90 00.
+ */
+class ApduError extends Error {
+  constructor(sw1, sw2, message) {
+    const sw = ((sw1 << 8) | sw2).toString(16).toUpperCase().padStart(4, '0');
+    super(message || `Card returned SW ${sw}`);
+    this.sw1 = sw1;
+    this.sw2 = sw2;
+  }
+}
+
 /**
  * Convert a byte array to a colon-separated hex string.
  */
@@ -348,33 +476,12 @@ function parseAtr(atrBytes) {
     historicalBytes: null,
   };
 
-  if (!atrBytes || atrBytes.length < 2) return result;
-
-  // Find historical bytes: T0 byte is atrBytes[1], lower nibble = number of historical bytes
-  const t0 = atrBytes[1];
-  const numHistorical = t0 & 0x0F;
-
-  if (numHistorical === 0) return result;
-
-  // Historical bytes start after the interface bytes.
-  // Walk interface bytes according to T0 and TD(i) indicators.
-  let idx = 2;
-  let td = t0;
-  while (td & 0xF0) {
-    if (td & 0x10) idx++; // TA(i)
-    if (td & 0x20) idx++; // TB(i)
-    if (td & 0x40) idx++; // TC(i)
-    if (td & 0x80) {
-      td = atrBytes[idx] || 0;
-      idx++;
-    } else {
-      break;
-    }
-  }
-
-  if (idx + numHistorical > atrBytes.length) return result;
+  // Historical bytes follow the interface bytes (see atr.js)
+  const structure = atrStructure(atrBytes);
+  if (!structure || structure.k === 0) return result;
+  const numHistorical = structure.k;
 
-  const historicalBytes = atrBytes.slice(idx, idx + numHistorical);
+  const historicalBytes = atrBytes.slice(structure.historicalStart, structure.historicalStart + numHistorical);
   result.historicalBytes = bytesToHex(historicalBytes);
 
   // PC/SC Part 3 supplemental: category indicator 0x80 means
@@ -393,14 +500,15 @@ function parseAtr(atrBytes) {
         result.rid = KNOWN_RIDS[ridHex] || ridHex;
 
         // For PC/SC storage cards (RID A000000306), bytes after RID are:
-        // SS (standard) CC (card name)
-        if (ridHex === 'A000000306' && len >= 7) {
+        // SS (standard, 1 byte) NN NN (card name, 2 bytes)
+        if (ridHex === 'A000000306' && len >= 8) {
           const ss = historicalBytes[i + 2 + 5].toString(16).toUpperCase().padStart(2, '0');
-          const nn = historicalBytes[i + 2 + 6].toString(16).toUpperCase().padStart(2, '0');
+          const nn = historicalBytes.slice(i + 2 + 6, i + 2 + 8)
+            .map(b => b.toString(16).toUpperCase().padStart(2, '0'))
+            .join('');
           const ssKey = '00' + ss;
-          const nnKey = '00' + nn;
           result.standard = KNOWN_CARD_STANDARDS[ssKey] || 'Standard 0x' + ss;
-          result.cardName = KNOWN_CARD_NAMES[nnKey] || 'Type 0x' + nn;
+          result.cardName = KNOWN_CARD_NAMES[nn] || 'Type 0x' + nn;
         }
         break;
       }
@@ -0,0 +1,437 @@
+/**
+ * Simulated PC/SC-lite backend for working without a reader or ChromeOS.
+ * Speaks the same pcsc_lite_function_call request/response protocol as the
+ * Smart Card Connector, through port-like objects handed to PcscClient:
+ *
+ *   const sim = new PcscSimulator();
+ *   sim.addReader('ACS ACR122U PICC Interface');
+ *   sim.insertCard('ACS ACR122U PICC Interface', { uid: '04:A1:B2:C3' });
+ *   const client = new PcscClient(() => sim.openPort());
+ *
+ * Readers and cards are changed directly or from a timeline (play()).
+ * Cards answer GET DATA with their UID, and other APDUs from their
+ * responses list. injectError() makes the next call(s) of a function fail
+ * with a given code, e.g. SCARD_E_TIMEOUT. Needs pcsc-client.js for the
+ * constants.
+ */
+
+// Codes only the simulator returns
+const SIM_E_INVALID_HANDLE = 0x80100003;
+const SIM_E_NO_SMARTCARD = 0x8010000C;
+const SIM_W_REMOVED_CARD = 0x80100069;
+
+const SIM_DEFAULT_ATR = '3B 8F 80 01 80 4F 0C A0 00 00 03 06 03 00 01 00 00 00 00 6A'; // MIFARE Classic 1K
+const SIM_DEFAULT_UID = '04 A1 B2 C3';
+const SIM_SW_INS_NOT_SUPPORTED = [0x6D, 0x00];
+const SIM_TIMELINE_ACTIONS = ['addReader', 'removeReader', 'insertCard', 'removeCard', 'injectError'];
+
+class PcscSimulator {
+  constructor() {
+    this._readers = new Map();  // name -> { card, events }
+    this._handles = new Map();  // handle -> { context, reader, card (null for direct), protocol }
+    this._contexts = new Map(); // context -> port
+    this._waiters = new Set();  // pending SCardGetStatusChange calls: { context, check, finish }
+    this._errors = new Map();   // function name -> [{ code, times }]
+    this._nextId = 1;
+    this.calls = [];            // [{ functionName, arguments, result }] for inspection in tests
+  }
+
+  // --- Scripting ---
+
+  addReader(name) {
+    if (this._readers.has(name)) return;
+    this._readers.set(name, { card: null, events: 0 });
+    this._changed();
+  }
+
+  removeReader(name) {
+    if (!this._readers.delete(name)) return;
+    this._changed();
+  }
+
+  /**
+   * Put a card on a reader, replacing any card already there.
+   * @param {string} readerName
+   * @param {object} [card]
+   * @param {string|number[]} [card.uid] - answered to GET DATA (FF CA 00 00 00)
+   * @param {string|number[]} [card.atr] - defaults to a MIFARE Classic 1K ATR
+   * @param {string} [card.protocol] - 'T0' or 'T1' (default)
+   * @param {boolean} [card.mute] - present but not answering to reset
+   * @param {Array} [card.responses] - { apdu, response } pairs (hex; apdu
+   *   matches as a prefix) or functions (apdu bytes) => response bytes | null,
+   *   tried in order before the built-in GET DATA answer
+   */
+  insertCard(readerName, card = {}) {
+    const reader = this._readers.get(readerName);
+    if (!reader) throw new Error('Unknown simulated reader: ' + readerName);
+    reader.card = {
+      uid: simBytes(card.uid ?? SIM_DEFAULT_UID),
+      atr: simBytes(card.atr ?? SIM_DEFAULT_ATR),
+      protocol: card.protocol === 'T0' ? SCARD_PROTOCOL_T0 : SCARD_PROTOCOL_T1,
+      mute: !!card.mute,
+      responses: (card.responses || []).map(simResponder),
+    };
+    reader.events++;
+    this._changed();
+  }
+
+  removeCard(readerName) {
+    const reader = this._readers.get(readerName);
+    if (!reader || !reader.card) return;
+    reader.card = null;
+    reader.events++;
+    this._changed();
+  }
+
+  /**
+   * Make the next `times` calls of functionName fail with code, e.g.
+   * injectError('SCardGetStatusChange', SCARD_E_CANCELLED).
+   */
+  injectError(functionName, code, times = 1) {
+    if (!this._errors.has(functionName)) this._errors.set(functionName, []);
+    this._errors.get(functionName).push({ code, times });
+  }
+
+  /**
+   * Run a timeline of steps, each `after` ms after the previous one:
+   *   { after, action: 'addReader' | 'removeReader' | 'removeCard', reader }
+   *   { after, action: 'insertCard', reader, card }
+   *   { after, action: 'injectError', function, code, times }
+   * code may be a number or a constant name such as "SCARD_E_TIMEOUT".
+   * Resolves when the last step has run.
+   */
+  async play(steps) {
+    for (const step of steps) {
+      if (step.after > 0) await new Promise(resolve => setTimeout(resolve, step.after));
+      if (step.action === 'addReader') this.addReader(step.reader);
+      else if (step.action === 'removeReader') this.removeReader(step.reader);
+      else if (step.action === 'insertCard') this.insertCard(step.reader, step.card);
+      else if (step.action === 'removeCard') this.removeCard(step.reader);
+      else if (step.action === 'injectError') this.injectError(step.function, simErrorCode(step.code), step.times);
+      else throw new Error('Unknown timeline action: ' + step.action);
+    }
+  }
+
+  // --- Transport ---
+
+  /**
+   * A chrome.runtime.Port-like object for PcscClient. Each port has its own
+   * contexts; readers and cards are shared.
+   */
+  openPort() {
+    const messageListeners = [];
+    const disconnectListeners = [];
+    const port = {
+      connected: true,
+      onMessage: { addListener: fn => messageListeners.push(fn) },
+      onDisconnect: { addListener: fn => disconnectListeners.push(fn) },
+      postMessage: (msg) => {
+        if (!port.connected) throw new Error('Attempting to use a disconnected port object');
+        if (msg.type !== 'pcsc_lite_function_call::request') return;
+        const { request_id, payload } = msg.data;
+        this._call(port, payload.function_name, payload.arguments).then((result) => {
+          if (!port.connected) return;
+          const data = Array.isArray(result) ? { request_id, payload: result } : { request_id, error: result.error };
+          for (const fn of messageListeners) fn({ type: 'pcsc_lite_function_call::response', data });
+        });
+      },
+      disconnect: () => {
+        this._closePort(port);
+      },
+      // Simulate the connector going away (e.g. extension reloaded)
+      simulateDisconnect: () => {
+        this._closePort(port);
+        for (const fn of disconnectListeners) fn();
+      },
+    };
+    return port;
+  }
+
+  _closePort(port) {
+    port.connected = false;
+    for (const [context, owner] of this._contexts) {
+      if (owner === port) this._releaseContext(context);
+    }
+  }
+
+  /**
+   * Run one function call. Resolves to the response payload
+   * [error_code, ...results], or { error } for an unknown function.
+   */
+  async _call(port, functionName, args) {
+    // Answer asynchronously, like the real connector
+    await Promise.resolve();
+
+    let result;
+    const injected = this._takeError(functionName);
+    if (injected !== null) {
+      result = [injected];
+    } else if (typeof this['_' + functionName] === 'function') {
+      result = await this['_' + functionName](port, ...args);
+    } else {
+      result = { error: 'Unknown function ' + functionName };
+    }
+    this.calls.push({ functionName, arguments: args, result });
+    return result;
+  }
+
+  _takeError(functionName) {
+    const queue = this._errors.get(functionName);
+    if (!queue || queue.length === 0) return null;
+    const entry = queue[0];
+    if (--entry.times <= 0) queue.shift();
+    return entry.code;
+  }
+
+  // --- PC/SC functions ---
+
+  _SCardEstablishContext(port) {
+    const context = this._nextId++;
+    this._contexts.set(context, port);
+    return [SCARD_S_SUCCESS, context];
+  }
+
+  _SCardReleaseContext(port, context) {
+    if (!this._contexts.has(context)) return [SIM_E_INVALID_HANDLE];
+    this._releaseContext(context);
+    return [SCARD_S_SUCCESS];
+  }
+
+  _releaseContext(context) {
+    this._contexts.delete(context);
+    for (const waiter of this._waiters) {
+      if (waiter.context === context) waiter.finish([SCARD_E_CANCELLED]);
+    }
+    for (const [handle, h] of this._handles) {
+      if (h.context === context) this._handles.delete(handle);
+    }
+  }
+
+  _SCardListReaders(port, context) {
+    if (!this._contexts.has(context)) return [SIM_E_INVALID_HANDLE];
+    if (this._readers.size === 0) return [SCARD_E_NO_READERS_AVAILABLE];
+    return [SCARD_S_SUCCESS, [...this._readers.keys()]];
+  }
+
+  _SCardConnect(port, context, readerName, shareMode, preferredProtocols) {
+    if (!this._contexts.has(context)) return [SIM_E_INVALID_HANDLE];
+    const reader = this._readers.get(readerName);
+    if (!reader) return [SCARD_E_UNKNOWN_READER];
+
+    const handle = this._nextId++;
+    if (shareMode === SCARD_SHARE_DIRECT) {
+      this._handles.set(handle, { context, reader: readerName, card: null, protocol: SCARD_PROTOCOL_UNDEFINED });
+      return [SCARD_S_SUCCESS, handle, SCARD_PROTOCOL_UNDEFINED];
+    }
+    if (!reader.card) return [SIM_E_NO_SMARTCARD];
+    if (reader.card.mute) return [SCARD_W_UNRESPONSIVE_CARD];
+    this._handles.set(handle, { context, reader: readerName, card: reader.card, protocol: reader.card.protocol });
+    return [SCARD_S_SUCCESS, handle, reader.card.protocol];
+  }
+
+  _SCardDisconnect(port, handle) {
+    if (!this._handles.delete(handle)) return [SIM_E_INVALID_HANDLE];
+    return [SCARD_S_SUCCESS];
+  }
+
+  /**
+   * The card a handle was connected to, or an error code if the handle is
+   * unknown or the card has since left the reader.
+   */
+  _cardFor(handle) {
+    const h = this._handles.get(handle);
+    if (!h) return SIM_E_INVALID_HANDLE;
+    const reader = this._readers.get(h.reader);
+    if (!reader || reader.card !== h.card) return SIM_W_REMOVED_CARD;
+    return h.card;
+  }
+
+  _SCardStatus(port, handle) {
+    const card = this._cardFor(handle);
+    if (typeof card === 'number') return [card];
+    const h = this._handles.get(handle);
+    return [SCARD_S_SUCCESS, h.reader, SCARD_STATE_PRESENT, h.protocol, card ? card.atr : []];
+  }
+
+  _SCardTransmit(port, handle, sendPci, apdu) {
+    const card = this._cardFor(handle);
+    if (typeof card === 'number') return [card];
+    if (!card) return [SIM_E_NO_SMARTCARD]; // direct connection
+
+    for (const respond of card.responses) {
+      const response = respond(apdu);
+      if (response) return [SCARD_S_SUCCESS, sendPci, response];
+    }
+    if (simStartsWith(apdu, GET_UID_APDU.slice(0, 4))) {
+      return [SCARD_S_SUCCESS, sendPci, [...card.uid, 0x90, 0x00]];
+    }
+    return [SCARD_S_SUCCESS, sendPci, SIM_SW_INS_NOT_SUPPORTED];
+  }
+
+  _SCardControl(port, handle) {
+    if (!this._handles.has(handle)) return [SIM_E_INVALID_HANDLE];
+    return [SCARD_S_SUCCESS, []];
+  }
+
+  _SCardCancel(port, context) {
+    if (!this._contexts.has(context)) return [SIM_E_INVALID_HANDLE];
+    for (const waiter of this._waiters) {
+      if (waiter.context === context) waiter.finish([SCARD_E_CANCELLED]);
+    }
+    return [SCARD_S_SUCCESS];
+  }
+
+  /**
+   * Returns at once if any reader's state differs from current_state,
+   * otherwise when one changes, the timeout expires or SCardCancel is called.
+   */
+  _SCardGetStatusChange(port, context, timeout, readerStates) {
+    if (!this._contexts.has(context)) return [SIM_E_INVALID_HANDLE];
+
+    return new Promise((resolve) => {
+      let timer = null;
+      const waiter = {
+        context,
+        check: () => {
+          const states = readerStates.map(rs => this._readerState(rs));
+          if (states.some(rs => rs.event_state & SCARD_STATE_CHANGED)) {
+            waiter.finish([SCARD_S_SUCCESS, states]);
+          }
+        },
+        finish: (result) => {
+          clearTimeout(timer);
+          this._waiters.delete(waiter);
+          resolve(result);
+        },
+      };
+      this._waiters.add(waiter);
+      waiter.check();
+      if (!this._waiters.has(waiter)) return;
+      if (timeout === 0) {
+        waiter.finish([SCARD_E_TIMEOUT]);
+      } else if (timeout !== SCARD_INFINITE) {
+        timer = setTimeout(() => waiter.finish([SCARD_E_TIMEOUT]), timeout);
+      }
+    });
+  }
+
+  /**
+   * Current event_state for one SCARD_READERSTATE, with SCARD_STATE_CHANGED
+   * set if it differs from current_state. Like pcsc-lite, the upper 16 bits
+   * count card events (or, for the PnP pseudo-reader, attached readers).
+   */
+  _readerState(rs) {
+    let eventState;
+    if (rs.reader_name === PNP_NOTIFICATION_READER) {
+      eventState = this._readers.size << 16;
+    } else {
+      const reader = this._readers.get(rs.reader_name);
+      if (!reader) {
+        eventState = SCARD_STATE_UNKNOWN;
+      } else if (!reader.card) {
+        eventState = SCARD_STATE_EMPTY;
+      } else {
+        eventState = SCARD_STATE_PRESENT | (reader.card.mute ? SCARD_STATE_MUTE : 0);
+      }
+      if (reader) eventState |= (reader.events & 0xFFFF) << 16;
+    }
+    if (eventState !== (rs.current_state & ~SCARD_STATE_CHANGED)) eventState |= SCARD_STATE_CHANGED;
+    return { ...rs, event_state: eventState >>> 0 };
+  }
+
+  // Wake SCardGetStatusChange calls whose readers changed
+  _changed() {
+    for (const waiter of [...this._waiters]) waiter.check();
+  }
+}
+
+/**
+ * Check a scenario for the pcscBackend 'simulator' setting:
+ *   { readers: [name, ...], timeline: [step, ...] }
+ * with steps as for PcscSimulator.play(). Returns { scenario } or { error }.
+ */
+function parseSimulatorScenario(text) {
+  if (!text || !text.trim()) return { scenario: { readers: [], timeline: [] } };
+
+  let scenario;
+  try {
+    scenario = JSON.parse(text);
+  } catch (e) {
+    return { error: 'Invalid JSON: ' + e.message };
+  }
+  if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+    return { error: 'Must be a JSON object with readers and timeline' };
+  }
+
+  const readers = scenario.readers || [];
+  if (!Array.isArray(readers) || !readers.every(r => typeof r === 'string' && r)) {
+    return { error: 'readers must be a list of reader names' };
+  }
+  const timeline = scenario.timeline || [];
+  if (!Array.isArray(timeline)) return { error: 'timeline must be a list of steps' };
+
+  for (const [i, step] of timeline.entries()) {
+    const where = 'Step #' + (i + 1) + ': ';
+    if (!step || typeof step !== 'object') return { error: where + 'must be an object' };
+    if (!SIM_TIMELINE_ACTIONS.includes(step.action)) {
+      return { error: where + 'action must be one of ' + SIM_TIMELINE_ACTIONS.join(', ') };
+    }
+    if (step.after !== undefined && !(Number.isFinite(step.after) && step.after >= 0)) {
+      return { error: where + 'after must be a number of milliseconds' };
+    }
+    if (step.action === 'injectError') {
+      if (typeof step.function !== 'string') return { error: where + 'function is required' };
+      if (simErrorCode(step.code) === null) return { error: where + 'unknown error code ' + step.code };
+    } else if (typeof step.reader !== 'string' || !step.reader) {
+      return { error: where + 'reader is required' };
+    }
+    if (step.action === 'insertCard' && step.card !== undefined) {
+      try {
+        for (const key of ['uid', 'atr']) {
+          if (step.card[key] !== undefined) simBytes(step.card[key]);
+        }
+        (step.card.responses || []).forEach(simResponder);
+      } catch (e) {
+        return { error: where + e.message };
+      }
+    }
+  }
+  return { scenario: { readers, timeline } };
+}
+
+/**
+ * Bytes from a hex string (spaces and colons ignored) or a byte array.
+ */
+function simBytes(value) {
+  if (Array.isArray(value)) return value;
+  const hex = String(value).replace(/[\s:]/g, '');
+  if (!/^([0-9A-Fa-f]{2})*$/.test(hex)) throw new Error('Invalid hex "' + value + '"');
+  return (hex.match(/../g) || []).map(b => parseInt(b, 16));
+}
+
+function simResponder(r) {
+  if (typeof r === 'function') return r;
+  if (!r || r.apdu === undefined || r.response === undefined) {
+    throw new Error('responses need apdu and response');
+  }
+  const prefix = simBytes(r.apdu);
+  const response = simBytes(r.response);
+  return apdu => (simStartsWith(apdu, prefix) ? response : null);
+}
+
+function simStartsWith(bytes, prefix) {
+  return prefix.length <= bytes.length && prefix.every((b, i) => bytes[i] === b);
+}
+
+// Numeric code from a number or a name such as "SCARD_E_TIMEOUT"
+function simErrorCode(code) {
+  if (Number.isInteger(code)) return code;
+  const known = {
+    SCARD_E_TIMEOUT, SCARD_E_CANCELLED, SCARD_E_UNKNOWN_READER, SCARD_E_READER_UNAVAILABLE,
+    SCARD_E_NO_READERS_AVAILABLE, SCARD_W_UNRESPONSIVE_CARD,
+    SCARD_E_INVALID_HANDLE: SIM_E_INVALID_HANDLE,
+    SCARD_E_NO_SMARTCARD: SIM_E_NO_SMARTCARD,
+    SCARD_W_REMOVED_CARD: SIM_W_REMOVED_CARD,
+  };
+  return known[code] ?? null;
+}
@@ -1,21 +1,31 @@
 /**
  * Popup UI for Smart Card Reader extension.
  * Reads state from the background service worker and displays it.
- * Provides API debug panel with resend/edit-and-resend, response headers,
- * request duration, and a rolling event log.
+ * Provides:
+ * - API debug panel with resend/edit-and-resend, response headers and
+ *   request duration
+ * - cancelling outstanding requests
+ * - a rolling event log
+ * - the offline queue
+ * - the NDEF provisioning form
+ * - a raw APDU console
  */
 
 const ui = {
   statusDot: document.getElementById('statusDot'),
   statusText: document.getElementById('statusText'),
-  readerName: document.getElementById('readerName'),
+  readerList: document.getElementById('readerList'),
   cardUid: document.getElementById('cardUid'),
   cardAtr: document.getElementById('cardAtr'),
+  atrDetailsToggle: document.getElementById('atrDetailsToggle'),
+  atrDetails: document.getElementById('atrDetails'),
   cardInfoSection: document.getElementById('cardInfoSection'),
   cardInfo: document.getElementById('cardInfo'),
+  responseAction: document.getElementById('responseAction'),
   errorMsg: document.getElementById('errorMsg'),
   modeBadge: document.getElementById('modeBadge'),
   openSettings: document.getElementById('openSettings'),
+  openHistory: document.getElementById('openHistory'),
   // API debug
   apiRequest: document.getElementById('apiRequest'),
   apiRequestTs: document.getElementById('apiRequestTs'),
@@ -24,6 +34,14 @@ const ui = {
   apiDuration: document.getElementById('apiDuration'),
   headersToggle: document.getElementById('headersToggle'),
   respHeaders: document.getElementById('respHeaders'),
+  inFlightSection: document.getElementById('inFlightSection'),
+  inFlightList: document.getElementById('inFlightList'),
+  payloadPreview: document.getElementById('payloadPreview'),
+  payloadPreviewLabel: document.getElementById('payloadPreviewLabel'),
+  wsSection: document.getElementById('wsSection'),
+  wsState: document.getElementById('wsState'),
+  wsStatus: document.getElementById('wsStatus'),
+  wsMessages: document.getElementById('wsMessages'),
   // Resend
   resendBtn: document.getElementById('resendBtn'),
   editToggleBtn: document.getElementById('editToggleBtn'),
@@ -35,11 +53,34 @@ const ui = {
   cancelEditBtn: document.getElementById('cancelEditBtn'),
   // Tabs
   tabs: document.querySelectorAll('.tab'),
-  panelApi: document.getElementById('panel-api'),
-  panelLog: document.getElementById('panel-log'),
+  panels: document.querySelectorAll('.tab-panel'),
   // Log
   logContainer: document.getElementById('logContainer'),
   clearLogBtn: document.getElementById('clearLogBtn'),
+  // Queue
+  queueTab: document.getElementById('queueTab'),
+  queueList: document.getElementById('queueList'),
+  // Provisioning
+  provisionTab: document.getElementById('provisionTab'),
+  provisionRecords: document.getElementById('provisionRecords'),
+  addRecordBtn: document.getElementById('addRecordBtn'),
+  provisionReader: document.getElementById('provisionReader'),
+  provisionLock: document.getElementById('provisionLock'),
+  provisionRepeat: document.getElementById('provisionRepeat'),
+  provisionError: document.getElementById('provisionError'),
+  armProvisionBtn: document.getElementById('armProvisionBtn'),
+  cancelProvisionBtn: document.getElementById('cancelProvisionBtn'),
+  provisionStatus: document.getElementById('provisionStatus'),
+  provisionResult: document.getElementById('provisionResult'),
+  // APDU console
+  consoleOutput: document.getElementById('consoleOutput'),
+  consoleReader: document.getElementById('consoleReader'),
+  consoleInput: document.getElementById('consoleInput'),
+  consoleSendBtn: document.getElementById('consoleSendBtn'),
+  consoleError: document.getElementById('consoleError'),
+  consoleCopyBtn: document.getElementById('consoleCopyBtn'),
+  consoleSaveBtn: document.getElementById('consoleSaveBtn'),
+  consoleClearBtn: document.getElementById('consoleClearBtn'),
 };
 
 const STATUS_LABELS = {
@@ -50,8 +91,16 @@ const STATUS_LABELS = {
   error: 'Error',
 };
 
+const RESULT_LABELS = {
+  granted: 'Access granted',
+  denied: 'Access denied',
+  info: '',
+};
+
 // Track last request for resend
 let lastRequest = null;
+// Card the payload preview was last rendered for
+let previewCardUid;
 
 // --- Tab switching ---
 
@@ -60,8 +109,7 @@ ui.tabs.forEach((tab) => {
     ui.tabs.forEach((t) => t.classList.remove('active'));
     tab.classList.add('active');
     const target = tab.getAttribute('data-tab');
-    ui.panelApi.classList.toggle('active', target === 'api');
-    ui.panelLog.classList.toggle('active', target === 'log');
+    ui.panels.forEach((p) => p.classList.toggle('active', p.id === 'panel-' + target));
   });
 });
 
@@ -72,11 +120,14 @@ function render(state, settings) {
   ui.statusDot.className = 'status-dot ' + (state.status || 'initializing');
   ui.statusText.textContent = STATUS_LABELS[state.status] || state.status;
 
-  // Reader
-  if (state.readerName) {
-    ui.readerName.textContent = state.readerName;
+  // Readers — one row per attached reader
+  const readerNames = Object.keys(state.readers || {});
+  if (readerNames.length > 0) {
+    ui.readerList.innerHTML = readerNames
+      .map((name) => readerRow(name, state.readers[name], name === state.readerName))
+      .join('');
   } else {
-    ui.readerName.innerHTML = '<span class="empty">No reader detected</span>';
+    ui.readerList.innerHTML = '<span class="empty">No reader detected</span>';
   }
 
   // Card UID
@@ -86,28 +137,48 @@ function render(state, settings) {
     ui.cardUid.innerHTML = '<span class="empty">No card</span>';
   }
 
-  // ATR
+  // ATR, with the decoded ISO 7816-3 fields behind a toggle
   if (state.cardAtr) {
     ui.cardAtr.textContent = state.cardAtr;
   } else {
     ui.cardAtr.innerHTML = '<span class="empty">—</span>';
   }
+  if (state.cardAtrDetails) {
+    ui.atrDetailsToggle.style.display = '';
+    ui.atrDetails.innerHTML = atrDetailRows(state.cardAtrDetails).join('');
+  } else {
+    ui.atrDetailsToggle.style.display = 'none';
+    ui.atrDetails.innerHTML = '';
+  }
 
-  // Card info (parsed from ATR)
-  if (state.cardInfo && hasCardInfo(state.cardInfo)) {
+  // Card info (parsed from ATR, plus NDEF records read from the tag)
+  if (hasCardInfo(state.cardInfo) || state.cardNdef) {
     ui.cardInfoSection.style.display = '';
     const rows = [];
-    if (state.cardInfo.cardName) rows.push(infoRow('Card', state.cardInfo.cardName));
-    if (state.cardInfo.standard) rows.push(infoRow('Standard', state.cardInfo.standard));
-    if (state.cardInfo.cardType) rows.push(infoRow('Type', state.cardInfo.cardType));
-    if (state.cardInfo.rid) rows.push(infoRow('Manufacturer', state.cardInfo.rid));
-    if (state.cardInfo.historicalBytes) rows.push(infoRow('Historical', state.cardInfo.historicalBytes));
+    const ci = state.cardInfo || {};
+    if (ci.cardName) rows.push(infoRow('Card', ci.cardName));
+    if (ci.standard) rows.push(infoRow('Standard', ci.standard));
+    if (ci.cardType) rows.push(infoRow('Type', ci.cardType));
+    if (ci.rid) rows.push(infoRow('Manufacturer', ci.rid));
+    if (ci.historicalBytes) rows.push(infoRow('Historical', ci.historicalBytes));
+    for (const match of ci.atrMatches || []) rows.push(infoRow('ATR database', match));
+    if (state.cardNdef) rows.push(...ndefRows(state.cardNdef));
     ui.cardInfo.innerHTML = rows.join('');
   } else {
     ui.cardInfoSection.style.display = 'none';
     ui.cardInfo.innerHTML = '';
   }
 
+  // Server-driven message for the last request (display / result)
+  const action = state.responseAction;
+  if (action) {
+    ui.responseAction.className = 'response-action visible ' + (action.result || 'info');
+    ui.responseAction.textContent = action.display || RESULT_LABELS[action.result];
+  } else {
+    ui.responseAction.className = 'response-action';
+    ui.responseAction.textContent = '';
+  }
+
   // Error
   ui.errorMsg.textContent = state.error || '';
 
@@ -119,11 +190,14 @@ function render(state, settings) {
       ? Object.entries(r.headers).map(([k, v]) => k + ': ' + v).join('\n')
       : '';
     ui.apiRequest.textContent =
-      'POST ' + r.url + '\n' +
+      (r.method || 'POST') + ' ' + r.url + '\n' +
       (headerLines ? headerLines + '\n\n' : '\n') +
       JSON.stringify(r.body, null, 2);
     ui.apiRequest.className = 'api-value';
-    ui.apiRequestTs.textContent = formatTs(r.timestamp);
+    // Which routing rule (and which of its targets) the request went to
+    ui.apiRequestTs.textContent = formatTs(r.timestamp) + (r.route
+      ? ' · rule "' + r.route.rule + '"' + (r.route.of > 1 ? ' (target ' + r.route.target + ' of ' + r.route.of + ')' : '')
+      : '');
     ui.resendBtn.disabled = false;
     ui.editToggleBtn.disabled = false;
   } else {
@@ -175,6 +249,27 @@ function render(state, settings) {
     ui.respHeaders.className = 'resp-headers';
   }
 
+  // Outstanding requests
+  renderInFlight(state.inFlight || []);
+
+  // WebSocket transport
+  renderWebSocket(state.wsStatus, state.wsMessages || []);
+
+  // Delivery queue
+  if (state.queue) renderQueue(state.queue);
+
+  // Provisioning
+  if (state.provisioning) renderProvisioning(state.provisioning, readerNames);
+
+  // Console targets readers that hold a card
+  renderConsoleReaders(readerNames.filter((name) => state.readers[name].status === 'card'), state.readerName);
+
+  // Payload preview follows the current card
+  if (state.cardUid !== previewCardUid) {
+    previewCardUid = state.cardUid;
+    requestPayloadPreview();
+  }
+
   // Mode badge
   if (settings) {
     const modeLabel = settings.detectionMode === 'poll' ? 'Polling mode' : 'Event mode';
@@ -182,6 +277,57 @@ function render(state, settings) {
   }
 }
 
+function renderInFlight(requests) {
+  if (requests.length === 0) {
+    ui.inFlightSection.style.display = 'none';
+    ui.inFlightList.innerHTML = '';
+    return;
+  }
+  ui.inFlightSection.style.display = '';
+  ui.inFlightList.innerHTML = requests.map((r) => {
+    const meta = (r.cardUid || '(no card)') + ' · ' +
+      (r.waiting ? 'waiting for a free slot' : 'sent ' + formatTs(r.startedAt));
+    return (
+      '<div class="inflight-entry' + (r.waiting ? ' waiting' : '') + '">' +
+        '<div class="inflight-desc">' +
+          '<div>' + escapeHtml(r.method + ' ' + r.url) + '</div>' +
+          '<div class="inflight-meta">' + escapeHtml(meta) + '</div>' +
+        '</div>' +
+        '<button class="btn" data-cancel-request="' + r.id + '">Cancel</button>' +
+      '</div>'
+    );
+  }).join('');
+}
+
+const WS_STATE_LABELS = {
+  connecting: 'Connecting',
+  open: 'Connected',
+  reconnecting: 'Reconnecting',
+  closed: 'Closed',
+};
+
+function renderWebSocket(status, messages) {
+  if (!status) {
+    ui.wsSection.style.display = 'none';
+    return;
+  }
+  ui.wsSection.style.display = '';
+  ui.wsState.textContent = '(' + (WS_STATE_LABELS[status.state] || status.state) + ')';
+  ui.wsStatus.textContent = status.url + '\nsince ' + formatTs(status.since) +
+    (status.error ? '\n' + status.error : '') +
+    (status.retryAt ? '\nretry at ' + formatTs(status.retryAt) : '');
+  ui.wsStatus.className = 'api-value ' + (status.state === 'open' ? 'ok' : 'err');
+
+  if (messages.length === 0) {
+    ui.wsMessages.innerHTML = '<span class="empty">No messages yet</span>';
+    return;
+  }
+  // Newest first
+  ui.wsMessages.textContent = messages.slice().reverse()
+    .map((m) => formatTs(m.timestamp) + '  ' + JSON.stringify(m.message))
+    .join('\n');
+}
+
 function renderLog(log) {
   if (!log || log.length === 0) {
     ui.logContainer.innerHTML = '<div class="log-empty">No events yet</div>';
@@ -214,6 +360,217 @@ function renderLog(log) {
   ui.logContainer.scrollTop = 0;
 }
 
+function renderQueue(queue) {
+  const pending = queue.filter((e) => e.status === 'pending').length;
+  const dead = queue.length - pending;
+  ui.queueTab.textContent = queue.length > 0
+    ? 'Queue (' + pending + (dead ? ' + ' + dead + ' dead' : '') + ')'
+    : 'Queue';
+
+  if (queue.length === 0) {
+    ui.queueList.innerHTML = '<div class="queue-empty">Queue is empty</div>';
+    return;
+  }
+
+  // Newest first
+  ui.queueList.innerHTML = queue.slice().reverse().map((entry) => {
+    const cardId = (entry.body && entry.body.card_id) || '(custom body)';
+    const next = entry.status === 'dead'
+      ? 'Dead-lettered'
+      : 'Next attempt ' + formatTs(new Date(entry.nextAttemptAt).toISOString());
+    return (
+      '<div class="queue-entry ' + escapeHtml(entry.status) + '">' +
+        '<div class="queue-entry-head">' +
+          '<span>' + escapeHtml(cardId) + '</span>' +
+          '<span>' + escapeHtml(formatTs(entry.createdAt)) + '</span>' +
+        '</div>' +
+        '<div class="queue-entry-meta">' +
+          escapeHtml(entry.url) + ' · ' + entry.attempts + ' attempt(s) · ' + escapeHtml(next) +
+        '</div>' +
+        (entry.lastError ? '<div class="queue-entry-error">' + escapeHtml(entry.lastError) + '</div>' : '') +
+        '<div class="resend-bar">' +
+          '<button class="btn primary" data-queue-action="retryQueued" data-id="' + escapeHtml(entry.id) + '">Retry now</button>' +
+          '<button class="btn" data-queue-action="discardQueued" data-id="' + escapeHtml(entry.id) + '">Discard</button>' +
+        '</div>' +
+      '</div>'
+    );
+  }).join('');
+}
+
+const PROVISION_RECORD_TYPES = {
+  uri: 'URI',
+  text: 'Text',
+  json: 'JSON',
+  endpoint: 'JSON from endpoint',
+};
+
+// The record editor is filled from background state once, then owned by the user
+let provisionFormLoaded = false;
+let provisionReaderNames;
+
+function renderProvisioning(p, readerNames) {
+  if (!provisionFormLoaded) {
+    provisionFormLoaded = true;
+    ui.provisionRecords.innerHTML = '';
+    (p.records.length ? p.records : [{ type: 'uri', value: '' }]).forEach(addRecordRow);
+    ui.provisionLock.checked = p.lock;
+    ui.provisionRepeat.checked = p.repeat;
+  }
+
+  // Reader choices follow the attached readers, keeping the selection
+  if (readerNames.join('\n') !== provisionReaderNames) {
+    provisionReaderNames = readerNames.join('\n');
+    const selected = ui.provisionReader.value || p.reader || '';
+    ui.provisionReader.innerHTML = '<option value="">Any reader</option>' +
+      readerNames.map((name) => '<option>' + escapeHtml(name) + '</option>').join('');
+    ui.provisionReader.value = readerNames.includes(selected) ? selected : '';
+  }
+
+  ui.provisionTab.textContent = p.armed ? 'Provision (armed)' : 'Provision';
+  ui.provisionStatus.textContent = p.armed
+    ? 'Armed — present a tag' + (p.reader ? ' to ' + p.reader : '')
+    : 'Not armed';
+  ui.provisionStatus.className = 'provision-status' + (p.armed ? ' armed' : '');
+  ui.armProvisionBtn.disabled = p.armed;
+  ui.cancelProvisionBtn.disabled = !p.armed;
+
+  const r = p.lastResult;
+  if (!r) {
+    ui.provisionResult.textContent = '';
+    ui.provisionResult.className = 'provision-result';
+  } else if (r.success) {
+    ui.provisionResult.textContent = formatTs(r.timestamp) + ' Wrote ' + r.bytesWritten + ' bytes to ' +
+      r.uid + (r.locked ? ' (locked' + (r.unlockedPages
+        ? '; pages ' + r.unlockedPages.from + '-' + r.unlockedPages.to + ' stay writable'
+        : '') + ')' : '');
+    ui.provisionResult.className = 'provision-result ok';
+  } else {
+    ui.provisionResult.textContent = formatTs(r.timestamp) + ' ' + r.uid + ': ' + r.error;
+    ui.provisionResult.className = 'provision-result err';
+  }
+}
+
+function addRecordRow(record) {
+  const row = document.createElement('div');
+  row.className = 'provision-record';
+  row.innerHTML =
+    '<select>' +
+      Object.entries(PROVISION_RECORD_TYPES)
+        .map(([type, label]) => '<option value="' + type + '">' + label + '</option>')
+        .join('') +
+    '</select>' +
+    '<input type="text">' +
+    '<button class="btn" title="Remove record">&times;</button>';
+
+  const [select, input, remove] = row.children;
+  select.value = record.type;
+  input.value = record.type === 'json' ? JSON.stringify(record.value) : (record.value || '');
+  const syncInput = () => {
+    input.disabled = select.value === 'endpoint';
+    input.placeholder = {
+      uri: 'https://example.com/t/123',
+      text: 'Hello',
+      json: '{"id": 123}',
+      endpoint: 'Fetched per tag from the provisioning URL',
+    }[select.value];
+  };
+  select.addEventListener('change', syncInput);
+  remove.addEventListener('click', () => row.remove());
+  syncInput();
+
+  ui.provisionRecords.appendChild(row);
+}
+
+/**
+ * Read the record editor. Returns { records } or { error }.
+ */
+function collectProvisionRecords() {
+  const records = [];
+  for (const row of ui.provisionRecords.children) {
+    const [select, input] = row.children;
+    const type = select.value;
+    const value = input.value.trim();
+    if (type === 'endpoint') {
+      records.push({ type });
+    } else if (type === 'json') {
+      try {
+        records.push({ type, value: JSON.parse(value) });
+      } catch (e) {
+        return { error: 'Invalid JSON record: ' + e.message };
+      }
+    } else {
+      if (!value) return { error: PROVISION_RECORD_TYPES[type] + ' record is empty' };
+      records.push({ type, value });
+    }
+  }
+  if (records.length === 0) return { error: 'Add at least one record' };
+  return { records };
+}
+
+// APDU console session history, kept by the background worker
+let apduHistory = [];
+let consoleReaderNames;
+
+function renderConsoleReaders(names, current) {
+  if (names.join('\n') === consoleReaderNames) return;
+  consoleReaderNames = names.join('\n');
+  const selected = ui.consoleReader.value;
+  if (names.length === 0) {
+    ui.consoleReader.innerHTML = '<option value="">No card present</option>';
+  } else {
+    ui.consoleReader.innerHTML = names.map((name) => '<option>' + escapeHtml(name) + '</option>').join('');
+    ui.consoleReader.value = names.includes(selected) ? selected : (names.includes(current) ? current : names[0]);
+  }
+  ui.consoleSendBtn.disabled = names.length === 0;
+}
+
+function renderConsole() {
+  if (apduHistory.length === 0) {
+    ui.consoleOutput.innerHTML = '<div class="log-empty">Send an APDU to the card on a reader</div>';
+    return;
+  }
+  ui.consoleOutput.innerHTML = apduHistory.map(consoleEntryHtml).join('');
+  // Oldest first, like a terminal, so keep the newest in view
+  ui.consoleOutput.scrollTop = ui.consoleOutput.scrollHeight;
+}
+
+function consoleEntryHtml(entry) {
+  let html = '<div class="console-cmd">&gt; ' + escapeHtml(entry.command) + '</div>';
+  if (entry.error) {
+    return html + '<div class="console-err">! ' + escapeHtml(entry.error) + '</div>';
+  }
+  // Show the GET RESPONSE / Le-correction steps when the card chained
+  if (entry.exchanges.length > 1) {
+    html += '<div class="console-chain">' + entry.exchanges.map((x) =>
+      '  &gt; ' + escapeHtml(x.command) + '\n  &lt; ' + escapeHtml(x.response)
+    ).join('\n') + '</div>';
+  }
+  const cls = entry.sw === '90 00' ? 'console-ok'
+    : /^6[23]/.test(entry.sw) ? 'console-warn' : 'console-err';
+  return html +
+    '<div class="' + cls + '">&lt; ' + escapeHtml((entry.data ? entry.data + '  ' : '') + entry.sw) +
+    '  ' + escapeHtml(entry.meaning) + '</div>';
+}
+
+/**
+ * The session history as plain text, for copying and saving.
+ */
+function consoleText() {
+  return apduHistory.map((entry) => {
+    const lines = ['[' + entry.timestamp + '] ' + entry.reader, '> ' + entry.command];
+    if (entry.error) {
+      lines.push('! ' + entry.error);
+    } else {
+      if (entry.exchanges.length > 1) {
+        for (const x of entry.exchanges) lines.push('  > ' + x.command, '  < ' + x.response);
+      }
+      lines.push('< ' + (entry.data ? entry.data + '  ' : '') + entry.sw + '  ' + entry.meaning +
+        ' (' + entry.duration + 'ms)');
+    }
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
 function formatTs(iso) {
   if (!iso) return '';
   const d = new Date(iso);
@@ -227,18 +584,120 @@ function escapeHtml(str) {
 }
 
 function hasCardInfo(ci) {
-  return ci && (ci.cardName || ci.standard || ci.cardType || ci.rid || ci.historicalBytes);
+  return ci && (ci.cardName || ci.standard || ci.cardType || ci.rid || ci.historicalBytes || ci.atrMatches);
+}
+
+function atrDetailRows(d) {
+  const rows = [];
+  if (d.errors.length > 0) rows.push(infoRow('Problems', d.errors.join('; '), true));
+  if (d.convention) rows.push(infoRow('Convention', d.convention));
+  rows.push(infoRow('Protocols', d.protocols.map((t) => 'T=' + t).join(', ')));
+  if (d.F && d.D) {
+    rows.push(infoRow('Fi / Di', 'F=' + d.F + ' D=' + d.D + ' (' + d.baudRate + ' bd @ 3.57 MHz, fmax ' +
+      d.fMaxMHz + ' MHz)'));
+  }
+  if (d.guardTime) rows.push(infoRow('Guard time', d.guardTime.description));
+  if (d.specificMode) {
+    rows.push(infoRow('Specific mode', 'T=' + d.specificMode.protocol +
+      (d.specificMode.canChange ? ', changeable' : ', fixed')));
+  }
+  if (d.t0) rows.push(infoRow('T=0', 'WI ' + d.t0.wi));
+  if (d.t1) {
+    rows.push(infoRow('T=1', 'IFSC ' + d.t1.ifsc + ', BWI ' + d.t1.bwi + ', CWI ' + d.t1.cwi + ', ' +
+      d.t1.errorDetection));
+  }
+  if (d.t15) {
+    rows.push(infoRow('T=15', [
+      d.t15.clockStop && 'clock stop ' + d.t15.clockStop,
+      d.t15.classes.length > 0 && 'class ' + d.t15.classes.join(', '),
+    ].filter(Boolean).join('; ') || '—'));
+  }
+  if (d.tck) {
+    const tck = !d.tck.present ? (d.tck.valid ? 'Not present (T=0 only)' : 'Missing')
+      : d.tck.value + (d.tck.valid ? ' (valid)' : ' (checksum mismatch)');
+    rows.push(infoRow('TCK', tck, !d.tck.valid));
+  }
+  if (d.historical) {
+    rows.push(infoRow('Category', d.historical.category + ' ' + d.historical.categoryDescription));
+    for (const o of d.historical.objects) {
+      rows.push(infoRow(o.name, o.value + (o.decoded ? ' — ' + summarizeFields(o.decoded) : '')));
+    }
+    if (d.historical.status && d.historical.objects.every((o) => o.tag !== '8')) {
+      rows.push(infoRow('Status indicator', summarizeFields(d.historical.status)));
+    }
+  }
+  return rows;
+}
+
+// "key: value; key: value" for a flat decoded object
+function summarizeFields(obj) {
+  return Object.entries(obj)
+    .map(([k, v]) => k + ': ' + (Array.isArray(v) ? v.join(', ') : v))
+    .join('; ');
+}
+
+function ndefRows(ndef) {
+  const rows = [infoRow('NDEF', 'v' + ndef.version + ', ' + ndef.size + ' bytes' + (ndef.writable ? '' : ', read-only'))];
+  if (ndef.records.length === 0) rows.push(infoRow('NDEF', '(empty message)'));
+  for (const r of ndef.records) rows.push(infoRow('NDEF ' + r.recordType, ndefSummary(r)));
+  return rows;
+}
+
+function ndefSummary(record) {
+  switch (record.recordType) {
+    case 'uri':
+    case 'absoluteUri':
+      return record.uri;
+    case 'text':
+      return record.text + (record.lang ? ' [' + record.lang + ']' : '');
+    case 'smartPoster':
+      return record.records.map(ndefSummary).join(' · ');
+    case 'mime':
+    case 'external': {
+      const data = record.data !== undefined ? record.data : record.payloadHex;
+      const text = typeof data === 'object' ? JSON.stringify(data) : String(data);
+      return (record.mimeType || record.type) + ': ' + text;
+    }
+    default:
+      return record.payloadHex || record.type || '';
+  }
 }
 
-function infoRow(label, value) {
+function infoRow(label, value, bad) {
   return (
     '<div class="card-info-row">' +
       '<span class="card-info-key">' + escapeHtml(label) + '</span>' +
-      '<span class="card-info-val">' + escapeHtml(value) + '</span>' +
+      '<span class="card-info-val' + (bad ? ' bad' : '') + '">' + escapeHtml(value) + '</span>' +
+    '</div>'
+  );
+}
+
+const READER_STATUS_LABELS = {
+  empty: 'No card',
+  mute: 'Unresponsive card',
+  unavailable: 'Unavailable',
+};
+
+function readerRow(name, reader, active) {
+  const cardText = reader.status === 'card'
+    ? (reader.cardUid || 'Card (no UID)')
+    : (READER_STATUS_LABELS[reader.status] || reader.status);
+  return (
+    '<div class="reader-row' + (active ? ' active' : '') + '">' +
+      '<span class="reader-dot ' + escapeHtml(reader.status) + '"></span>' +
+      '<span class="reader-name">' + escapeHtml(name) + '</span>' +
+      '<span class="reader-card">' + escapeHtml(cardText) + '</span>' +
     '</div>'
   );
 }
 
+// --- ATR details toggle ---
+
+ui.atrDetailsToggle.addEventListener('click', () => {
+  const visible = ui.atrDetails.classList.toggle('visible');
+  ui.atrDetailsToggle.textContent = visible ? 'Hide details' : 'Details';
+});
+
 // --- Response headers toggle ---
 
 ui.headersToggle.addEventListener('click', () => {
@@ -253,7 +712,7 @@ ui.resendBtn.addEventListener('click', () => {
   ui.resendBtn.disabled = true;
   ui.resendBtn.textContent = 'Sending...';
   chrome.runtime.sendMessage(
-    { type: 'resendRequest', url: lastRequest.url, body: lastRequest.body },
+    { type: 'resendRequest', url: lastRequest.url, body: lastRequest.body, route: lastRequest.route },
     () => {
       ui.resendBtn.disabled = false;
       ui.resendBtn.textContent = 'Resend';
@@ -297,15 +756,119 @@ ui.sendEditedBtn.addEventListener('click', () => {
   ui.sendEditedBtn.textContent = 'Sending...';
 
   chrome.runtime.sendMessage(
-    { type: 'resendRequest', url, body },
-    () => {
+    { type: 'resendRequest', url, body, route: lastRequest && lastRequest.route },
+    (response) => {
       ui.sendEditedBtn.disabled = false;
       ui.sendEditedBtn.textContent = 'Send';
+      if (response && response.error) {
+        ui.editError.textContent = response.error;
+        ui.editError.style.display = 'block';
+        return;
+      }
       ui.editSection.classList.remove('active');
     }
   );
 });
 
+// --- In-flight requests ---
+
+ui.inFlightList.addEventListener('click', (e) => {
+  const btn = e.target.closest('[data-cancel-request]');
+  if (!btn) return;
+  btn.disabled = true;
+  chrome.runtime.sendMessage({ type: 'cancelRequest', id: Number(btn.dataset.cancelRequest) });
+});
+
+// --- Queue actions ---
+
+ui.queueList.addEventListener('click', (e) => {
+  const btn = e.target.closest('[data-queue-action]');
+  if (!btn) return;
+  btn.disabled = true;
+  chrome.runtime.sendMessage({ type: btn.dataset.queueAction, id: btn.dataset.id });
+});
+
+// --- Provisioning ---
+
+ui.addRecordBtn.addEventListener('click', () => addRecordRow({ type: 'uri', value: '' }));
+
+ui.armProvisionBtn.addEventListener('click', () => {
+  const { records, error } = collectProvisionRecords();
+  if (error) {
+    ui.provisionError.textContent = error;
+    ui.provisionError.style.display = 'block';
+    return;
+  }
+  if (ui.provisionLock.checked &&
+      !confirm('Lock every tag written while armed? Locked tags can never be rewritten.')) {
+    return;
+  }
+
+  ui.provisionError.style.display = 'none';
+  chrome.runtime.sendMessage({
+    type: 'armProvisioning',
+    records,
+    reader: ui.provisionReader.value || null,
+    lock: ui.provisionLock.checked,
+    repeat: ui.provisionRepeat.checked,
+  }, (response) => {
+    if (response && !response.ok) {
+      ui.provisionError.textContent = response.error;
+      ui.provisionError.style.display = 'block';
+    }
+  });
+});
+
+ui.cancelProvisionBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'cancelProvisioning' });
+});
+
+// --- APDU console ---
+
+function sendConsoleApdu() {
+  const apdu = ui.consoleInput.value.trim();
+  if (!apdu || ui.consoleSendBtn.disabled) return;
+  ui.consoleSendBtn.disabled = true;
+  chrome.runtime.sendMessage({ type: 'sendApdu', reader: ui.consoleReader.value, apdu }, (response) => {
+    ui.consoleSendBtn.disabled = !ui.consoleReader.value;
+    if (chrome.runtime.lastError || !response) return;
+    if (!response.ok) {
+      ui.consoleError.textContent = response.error;
+      ui.consoleError.style.display = 'block';
+      return;
+    }
+    ui.consoleError.style.display = 'none';
+    apduHistory.push(response.entry);
+    renderConsole();
+    ui.consoleInput.select();
+  });
+}
+
+ui.consoleSendBtn.addEventListener('click', sendConsoleApdu);
+ui.consoleInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') sendConsoleApdu();
+});
+
+ui.consoleCopyBtn.addEventListener('click', () => {
+  navigator.clipboard.writeText(consoleText());
+});
+
+ui.consoleSaveBtn.addEventListener('click', () => {
+  const url = URL.createObjectURL(new Blob([consoleText()], { type: 'text/plain' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'apdu-session-' + new Date().toISOString().replace(/[:.]/g, '-') + '.txt';
+  a.click();
+  URL.revokeObjectURL(url);
+});
+
+ui.consoleClearBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'clearApduHistory' }, () => {
+    apduHistory = [];
+    renderConsole();
+  });
+});
+
 // --- Clear log ---
 
 ui.clearLogBtn.addEventListener('click', () => {
@@ -314,6 +877,17 @@ ui.clearLogBtn.addEventListener('click', () => {
   });
 });
 
+// --- Payload preview ---
+
+function requestPayloadPreview() {
+  chrome.runtime.sendMessage({ type: 'previewPayload' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    ui.payloadPreviewLabel.textContent = '(' + (response.sample ? 'sample card' : 'current card') +
+      (response.rule ? ', rule "' + response.rule + '"' : '') + ')';
+    ui.payloadPreview.textContent = response.method + '\n' + JSON.stringify(response.body, null, 2);
+  });
+}
+
 // --- Communication with background ---
 
 function requestState() {
@@ -327,6 +901,11 @@ function requestState() {
       if (response.log) renderLog(response.log);
     }
   });
+  chrome.runtime.sendMessage({ type: 'getApduHistory' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    apduHistory = response.history;
+    renderConsole();
+  });
 }
 
 // Listen for live updates from background
@@ -346,6 +925,11 @@ ui.openSettings.addEventListener('click', (e) => {
   chrome.runtime.openOptionsPage();
 });
 
+ui.openHistory.addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+});
+
 // --- Init ---
 
 document.addEventListener('DOMContentLoaded', requestState);
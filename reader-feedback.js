@@ -0,0 +1,187 @@
+/**
+ * Reader LED / buzzer feedback. Loaded by the background worker (to signal
+ * request outcomes on the reader) and the options page (to validate the
+ * profiles setting).
+ *
+ * A profile is one signal: { color, blinks, onMs, offMs, beep } where
+ * color is green, red, amber or off and beep sounds during every "on"
+ * phase. Profiles are keyed by outcome: success, failure and queued.
+ *
+ * Two reader families are supported:
+ *   acr122  - ACR122U LED/buzzer pseudo-APDU FF 00 40, sent with
+ *             SCardTransmit while a card is present and as a CCID escape
+ *             command (SCardControl) otherwise
+ *   acr1252 - ACR1252U / ACR1255U / ACR1552U escape commands E0 00 00 29
+ *             (LED) and E0 00 00 28 (buzzer); blinking is timed here
+ */
+
+const FEEDBACK_OUTCOMES = ['success', 'failure', 'queued'];
+
+// color -> [red, green]
+const FEEDBACK_COLORS = {
+  off: [false, false],
+  green: [false, true],
+  red: [true, false],
+  amber: [true, true],
+};
+
+const DEFAULT_FEEDBACK_PROFILES = {
+  success: { color: 'green', blinks: 1, onMs: 500, offMs: 100, beep: false },
+  failure: { color: 'red', blinks: 2, onMs: 200, offMs: 200, beep: true },
+  queued: { color: 'amber', blinks: 3, onMs: 300, offMs: 300, beep: false },
+};
+
+/**
+ * Device family for a reader: the configured one, or guessed from the
+ * reader name in "auto" mode. Returns null for readers without support.
+ */
+function feedbackDeviceFor(readerName, setting) {
+  if (setting && setting !== 'auto') return setting;
+  if (/ACR122/i.test(readerName)) return 'acr122';
+  if (/ACR125\d|ACR1552/i.test(readerName)) return 'acr1252';
+  return null;
+}
+
+/**
+ * Parse the profiles setting: empty for the defaults, or a JSON object
+ * overriding some outcomes (null turns an outcome off). Returns
+ * { profiles } or { error }.
+ */
+function parseFeedbackProfiles(text) {
+  if (!text || !text.trim()) return { profiles: { ...DEFAULT_FEEDBACK_PROFILES } };
+
+  let overrides;
+  try {
+    overrides = JSON.parse(text);
+  } catch (e) {
+    return { error: 'Invalid JSON: ' + e.message };
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return { error: 'Must be a JSON object keyed by ' + FEEDBACK_OUTCOMES.join(', ') };
+  }
+
+  const profiles = { ...DEFAULT_FEEDBACK_PROFILES };
+  for (const [outcome, p] of Object.entries(overrides)) {
+    const where = '"' + outcome + '": ';
+    if (!FEEDBACK_OUTCOMES.includes(outcome)) {
+      return { error: 'Unknown outcome "' + outcome + '" (use ' + FEEDBACK_OUTCOMES.join(', ') + ')' };
+    }
+    if (p === null) {
+      profiles[outcome] = null;
+      continue;
+    }
+    if (typeof p !== 'object') return { error: where + 'must be an object or null' };
+
+    const profile = { ...DEFAULT_FEEDBACK_PROFILES[outcome], ...p };
+    if (!FEEDBACK_COLORS[profile.color]) {
+      return { error: where + 'color must be one of ' + Object.keys(FEEDBACK_COLORS).join(', ') };
+    }
+    if (!Number.isInteger(profile.blinks) || profile.blinks < 1 || profile.blinks > 10) {
+      return { error: where + 'blinks must be 1-10' };
+    }
+    for (const key of ['onMs', 'offMs']) {
+      if (!Number.isInteger(profile[key]) || profile[key] < 0 || profile[key] > 2500) {
+        return { error: where + key + ' must be 0-2500' };
+      }
+    }
+    if (typeof profile.beep !== 'boolean') return { error: where + 'beep must be true or false' };
+    profiles[outcome] = profile;
+  }
+  return { profiles };
+}
+
+/**
+ * ACR122U LED/buzzer control: P2 selects blinking LEDs (final LED state is
+ * left unchanged), T1/T2 are the on/off durations in 100 ms units, and the
+ * buzzer is linked to T1.
+ */
+function acr122FeedbackApdu(profile) {
+  const [red, green] = FEEDBACK_COLORS[profile.color];
+  let p2 = 0x00;
+  if (red) p2 |= 0x50;   // red initial blinking state + red blinking mask
+  if (green) p2 |= 0xA0; // green initial blinking state + green blinking mask
+  const t1 = Math.min(255, Math.max(1, Math.round(profile.onMs / 100)));
+  const t2 = Math.min(255, Math.round(profile.offMs / 100));
+  return [0xFF, 0x00, 0x40, p2, 0x04, t1, t2, profile.blinks, profile.beep ? 0x01 : 0x00];
+}
+
+function acr1252LedByte(color) {
+  const [red, green] = FEEDBACK_COLORS[color];
+  return (red ? 0x01 : 0) | (green ? 0x02 : 0);
+}
+
+/**
+ * Play a profile on a reader.
+ * @param {PcscClient} client
+ * @param {string} readerName
+ * @param {string} device - 'acr122' | 'acr1252'
+ * @param {object} profile
+ */
+async function playFeedback(client, readerName, device, profile) {
+  if (device === 'acr122') {
+    await playAcr122(client, readerName, profile);
+  } else if (device === 'acr1252') {
+    await playAcr1252(client, readerName, profile);
+  } else {
+    throw new Error('Unknown feedback device ' + device);
+  }
+}
+
+async function playAcr122(client, readerName, profile) {
+  const apdu = acr122FeedbackApdu(profile);
+
+  // With a card on the reader the pseudo-APDU goes through SCardTransmit
+  let card = null;
+  try {
+    card = await client.connectCard(readerName);
+  } catch (_) {}
+  if (card) {
+    try {
+      // SW2 carries the LED state, so only SW1 is checked
+      const response = await client.transmit(card.handle, card.protocol, apdu);
+      if (response.length < 2) throw new ApduError(0, 0, 'Short response');
+      const sw1 = response[response.length - 2];
+      const sw2 = response[response.length - 1];
+      if (sw1 !== 0x90) throw new ApduError(sw1, sw2);
+    } finally {
+      await client.disconnect(card.handle).catch(() => {});
+    }
+    return;
+  }
+
+  const handle = await client.connectDirect(readerName);
+  try {
+    await client.control(handle, IOCTL_CCID_ESCAPE, apdu);
+  } finally {
+    await client.disconnect(handle).catch(() => {});
+  }
+}
+
+async function playAcr1252(client, readerName, profile) {
+  const handle = await client.connectDirect(readerName);
+  const escape = data => client.control(handle, IOCTL_CCID_ESCAPE, data);
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  try {
+    // Read the current LED state so it can be restored afterwards
+    let restore = null;
+    try {
+      const status = await escape([0xE0, 0x00, 0x00, 0x29, 0x00]);
+      restore = status[status.length - 1];
+    } catch (_) {}
+
+    for (let i = 0; i < profile.blinks; i++) {
+      await escape([0xE0, 0x00, 0x00, 0x29, 0x01, acr1252LedByte(profile.color)]);
+      if (profile.beep) {
+        await escape([0xE0, 0x00, 0x00, 0x28, 0x01, Math.min(255, Math.round(profile.onMs / 10))]);
+      }
+      await wait(profile.onMs);
+      await escape([0xE0, 0x00, 0x00, 0x29, 0x01, 0x00]);
+      if (i < profile.blinks - 1) await wait(profile.offMs);
+    }
+
+    if (restore !== null) await escape([0xE0, 0x00, 0x00, 0x29, 0x01, restore]);
+  } finally {
+    await client.disconnect(handle).catch(() => {});
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Server-driven response actions. Loaded by the background worker, which
+ * interprets the endpoint's JSON response to each request.
+ *
+ * Fields of a JSON object response (all optional):
+ *   display - message shown in the popup, e.g. "Welcome Alice"
+ *   result  - "granted", "denied" or "info"; colours the popup banner and
+ *             picks the reader feedback signal
+ *   sound   - "ok", "error" or "none"; overrides the feedback signal
+ *   notify  - true to show display as a desktop notification, or a string
+ *             to show instead
+ * Any other fields are ignored, so existing response bodies keep working.
+ */
+
+const RESPONSE_RESULTS = ['granted', 'denied', 'info'];
+
+// sound -> reader feedback outcome (null = stay silent)
+const RESPONSE_SOUNDS = { ok: 'success', error: 'failure', none: null };
+
+const MAX_DISPLAY_LENGTH = 200;
+
+/**
+ * Pick the actions out of a response body. Returns null when the body has
+ * none, else { actions, errors } where errors describe fields that were
+ * present but unusable (those are left out of actions).
+ */
+function parseResponseActions(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return null;
+  if (!['display', 'result', 'sound', 'notify'].some(k => body[k] !== undefined)) return null;
+
+  const actions = {};
+  const errors = [];
+
+  if (body.display !== undefined) {
+    if (typeof body.display === 'string') actions.display = body.display.slice(0, MAX_DISPLAY_LENGTH);
+    else errors.push('display must be a string');
+  }
+  if (body.result !== undefined) {
+    if (RESPONSE_RESULTS.includes(body.result)) actions.result = body.result;
+    else errors.push('result must be one of ' + RESPONSE_RESULTS.join(', '));
+  }
+  if (body.sound !== undefined) {
+    if (Object.prototype.hasOwnProperty.call(RESPONSE_SOUNDS, body.sound)) actions.sound = body.sound;
+    else errors.push('sound must be one of ' + Object.keys(RESPONSE_SOUNDS).join(', '));
+  }
+  if (body.notify !== undefined) {
+    if (typeof body.notify === 'boolean') actions.notify = body.notify;
+    else if (typeof body.notify === 'string') actions.notify = body.notify.slice(0, MAX_DISPLAY_LENGTH);
+    else errors.push('notify must be true, false or a message');
+  }
+
+  return { actions, errors };
+}
+
+/**
+ * Reader feedback outcome for a response: an explicit sound wins, then the
+ * result, then the HTTP status (ok = 2xx). Returns null for silence.
+ */
+function responseFeedbackOutcome(actions, ok) {
+  if (actions && actions.sound) return RESPONSE_SOUNDS[actions.sound];
+  if (actions && actions.result === 'granted') return 'success';
+  if (actions && actions.result === 'denied') return 'failure';
+  return ok ? 'success' : 'failure';
+}
+
+/**
+ * Title and message for the desktop notification, or null if the response
+ * did not ask for one.
+ */
+function responseNotification(actions, uid) {
+  if (!actions || !actions.notify) return null;
+  const message = typeof actions.notify === 'string' ? actions.notify : (actions.display || uid || '');
+  const titles = { granted: 'Access granted', denied: 'Access denied' };
+  return { title: titles[actions.result] || 'Card read', message };
+}
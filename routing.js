@@ -0,0 +1,170 @@
+/**
+ * Routing rules: send reads to different endpoints depending on the card or
+ * reader. Loaded by the background worker (to pick the targets for each
+ * read) and the options page (to validate the setting on save). Needs
+ * payload-template.js and uid-format.js.
+ *
+ * The setting is an ordered JSON array; the first rule whose match fits
+ * the read wins, and reads no rule matches go to the Endpoint URL:
+ *   { name, match, targets: [{ url, method, headers, template, uidFormat }] }
+ * match selects by parseAtr output (cardName, standard, cardType, rid,
+ * each a string or list of strings), uidPrefix (hex, separators ignored),
+ * uidRegex (against the UID as shown, e.g. "04:A1:...") and/or reader (a
+ * case-insensitive substring of the reader name); a rule without match
+ * catches everything. A rule with a single target may give url, method,
+ * headers, template and uidFormat directly instead of a targets list.
+ *
+ * Per target, method defaults to the HTTP Method setting, headers are
+ * added after the authentication headers, and template (a JSON payload
+ * template value) replaces the Payload Template setting. uidFormat (see
+ * uid-format.js) overrides fields of the UID Format setting, e.g.
+ * { "encoding": "decimal", "reverse": true }.
+ */
+
+const ROUTE_MATCH_FIELDS = ['cardName', 'standard', 'cardType', 'rid'];
+const ROUTE_METHODS = ['POST', 'PUT', 'PATCH'];
+const ROUTE_HEADER_NAME_RE = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * Parse and validate the rules setting. Returns { rules } or { error }.
+ */
+function parseRoutingRules(text) {
+  if (!text || !text.trim()) return { rules: [] };
+
+  let rules;
+  try {
+    rules = JSON.parse(text);
+  } catch (e) {
+    return { error: 'Invalid JSON: ' + e.message };
+  }
+  if (!Array.isArray(rules)) return { error: 'Must be a JSON array of rules' };
+
+  const names = new Set();
+  const out = [];
+  for (const [i, r] of rules.entries()) {
+    let where = 'Rule #' + (i + 1) + ': ';
+    if (!r || typeof r !== 'object') return { error: where + 'must be an object' };
+    if (typeof r.name !== 'string' || !r.name.trim()) return { error: where + 'name is required' };
+    if (names.has(r.name)) return { error: where + 'duplicate name "' + r.name + '"' };
+    names.add(r.name);
+    where = 'Rule "' + r.name + '": ';
+
+    const match = parseRouteMatch(r.match);
+    if (match.error) return { error: where + match.error };
+
+    if (r.targets !== undefined && r.url !== undefined) {
+      return { error: where + 'give either url or targets, not both' };
+    }
+    const rawTargets = r.targets !== undefined ? r.targets : [r];
+    if (!Array.isArray(rawTargets) || rawTargets.length === 0) {
+      return { error: where + 'targets must be a non-empty array' };
+    }
+    const targets = [];
+    for (const [j, t] of rawTargets.entries()) {
+      const target = parseRouteTarget(t);
+      if (target.error) {
+        return { error: where + (r.targets !== undefined ? 'target ' + (j + 1) + ': ' : '') + target.error };
+      }
+      targets.push(target.target);
+    }
+
+    out.push({ name: r.name, match: match.match, targets });
+  }
+  return { rules: out };
+}
+
+function parseRouteMatch(m) {
+  const match = {};
+  if (m === undefined) return { match };
+  if (!m || typeof m !== 'object') return { error: 'match must be an object' };
+
+  for (const [key, value] of Object.entries(m)) {
+    if (ROUTE_MATCH_FIELDS.includes(key)) {
+      const list = Array.isArray(value) ? value : [value];
+      if (list.length === 0 || !list.every(v => typeof v === 'string')) {
+        return { error: 'match.' + key + ' must be a string or list of strings' };
+      }
+      match[key] = list;
+    } else if (key === 'uidPrefix') {
+      const prefix = String(value).replace(/[\s:-]/g, '').toUpperCase();
+      if (!/^[0-9A-F]+$/.test(prefix)) return { error: 'uidPrefix must be hex, e.g. "04:A1"' };
+      match.uidPrefix = prefix;
+    } else if (key === 'uidRegex') {
+      try {
+        match.uidRegex = new RegExp(String(value), 'i');
+      } catch (e) {
+        return { error: 'uidRegex: ' + e.message };
+      }
+    } else if (key === 'reader') {
+      if (typeof value !== 'string' || !value) return { error: 'match.reader must be a string' };
+      match.reader = value.toLowerCase();
+    } else {
+      return { error: 'unknown match field "' + key + '" (use ' +
+        ROUTE_MATCH_FIELDS.join(', ') + ', uidPrefix, uidRegex or reader)' };
+    }
+  }
+  return { match };
+}
+
+function parseRouteTarget(t) {
+  if (!t || typeof t !== 'object') return { error: 'must be an object' };
+
+  let url;
+  try {
+    url = new URL(t.url);
+  } catch (_) {
+    return { error: 'url must be an absolute http(s) URL' };
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return { error: 'url must be http or https' };
+
+  if (t.method !== undefined && !ROUTE_METHODS.includes(t.method)) {
+    return { error: 'method must be one of ' + ROUTE_METHODS.join(', ') };
+  }
+
+  const headers = {};
+  if (t.headers !== undefined) {
+    if (!t.headers || typeof t.headers !== 'object' || Array.isArray(t.headers)) {
+      return { error: 'headers must be an object' };
+    }
+    for (const [name, value] of Object.entries(t.headers)) {
+      if (!ROUTE_HEADER_NAME_RE.test(name)) return { error: 'invalid header name "' + name + '"' };
+      if (typeof value !== 'string') return { error: 'header "' + name + '" must be a string' };
+      headers[name] = value;
+    }
+  }
+
+  let template = null;
+  if (t.template !== undefined) {
+    const parsed = parseTemplate(JSON.stringify(t.template));
+    if (parsed.error) return { error: 'template: ' + parsed.error };
+    template = parsed.template;
+  }
+
+  let uidFormat = null;
+  if (t.uidFormat !== undefined) {
+    const parsed = parseUidFormat(t.uidFormat);
+    if (parsed.error) return { error: 'uidFormat: ' + parsed.error };
+    uidFormat = t.uidFormat;
+  }
+
+  return { target: { url: t.url, method: t.method || null, headers, template, uidFormat } };
+}
+
+/**
+ * The first rule matching a read, or null.
+ * @param {Array} rules - output of parseRoutingRules
+ * @param {object} card - { uid, reader, cardInfo } as returned by readCardData
+ */
+function matchRoute(rules, card) {
+  const uidHex = (card.uid || '').replace(/:/g, '').toUpperCase();
+  return rules.find((rule) => {
+    const m = rule.match;
+    if (m.uidPrefix && !uidHex.startsWith(m.uidPrefix)) return false;
+    if (m.uidRegex && !m.uidRegex.test(card.uid || '')) return false;
+    if (m.reader && !(card.reader || '').toLowerCase().includes(m.reader)) return false;
+    for (const field of ROUTE_MATCH_FIELDS) {
+      if (m[field] && !(card.cardInfo && m[field].includes(card.cardInfo[field]))) return false;
+    }
+    return true;
+  }) || null;
+}
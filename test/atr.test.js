@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./harness');
+
+const ctx = loadScripts(['atr.js', 'pcsc-client.js']);
+
+function bytes(hex) {
+  return hex.split(' ').map(b => parseInt(b, 16));
+}
+
+// Real ATRs, as listed in pcsc-tools' smartcard_list.txt
+const CORPUS = [
+  {
+    name: 'MIFARE Classic 1K (PC/SC contactless reader)',
+    atr: '3B 8F 80 01 80 4F 0C A0 00 00 03 06 03 00 01 00 00 00 00 6A',
+    structure: { historicalStart: 4, k: 15, tckIndex: 19 },
+    info: {
+      cardType: null,
+      standard: 'ISO 14443 A, Part 3',
+      cardName: 'MIFARE Classic 1K',
+      rid: 'NXP (PC/SC standard)',
+      historicalBytes: '80:4F:0C:A0:00:00:03:06:03:00:01:00:00:00:00',
+    },
+  },
+  {
+    name: 'MIFARE Classic 4K',
+    atr: '3B 8F 80 01 80 4F 0C A0 00 00 03 06 03 00 02 00 00 00 00 69',
+    structure: { historicalStart: 4, k: 15, tckIndex: 19 },
+    info: {
+      cardType: null,
+      standard: 'ISO 14443 A, Part 3',
+      cardName: 'MIFARE Classic 4K',
+      rid: 'NXP (PC/SC standard)',
+      historicalBytes: '80:4F:0C:A0:00:00:03:06:03:00:02:00:00:00:00',
+    },
+  },
+  {
+    name: 'MIFARE Ultralight',
+    atr: '3B 8F 80 01 80 4F 0C A0 00 00 03 06 03 00 03 00 00 00 00 68',
+    structure: { historicalStart: 4, k: 15, tckIndex: 19 },
+    info: {
+      cardType: null,
+      standard: 'ISO 14443 A, Part 3',
+      cardName: 'MIFARE Ultralight',
+      rid: 'NXP (PC/SC standard)',
+      historicalBytes: '80:4F:0C:A0:00:00:03:06:03:00:03:00:00:00:00',
+    },
+  },
+  {
+    name: 'MIFARE DESFire (ISO 14443-4, one historical byte)',
+    atr: '3B 81 80 01 80 80',
+    structure: { historicalStart: 4, k: 1, tckIndex: 5 },
+    info: {
+      cardType: 'Contactless (ISO 14443)',
+      standard: null,
+      cardName: null,
+      rid: null,
+      historicalBytes: '80',
+    },
+  },
+  {
+    name: 'Yubikey NEO (ASCII historical bytes)',
+    atr: '3B 8C 80 01 59 75 62 69 6B 65 79 4E 45 4F 72 33 58',
+    structure: { historicalStart: 4, k: 12, tckIndex: 16 },
+    info: {
+      cardType: 'Contactless (ISO 14443)',
+      standard: null,
+      cardName: null,
+      rid: null,
+      historicalBytes: '59:75:62:69:6B:65:79:4E:45:4F:72:33',
+    },
+  },
+  {
+    name: 'JCOP41 (contact, TA1-TD1 and a second T=1 group)',
+    atr: '3B FA 13 00 00 81 31 FE 45 4A 43 4F 50 34 31 56 32 32 31 96',
+    structure: { historicalStart: 9, k: 10, tckIndex: 19 },
+    info: {
+      cardType: null,
+      standard: null,
+      cardName: null,
+      rid: null,
+      historicalBytes: '4A:43:4F:50:34:31:56:32:32:31',
+    },
+  },
+  {
+    name: 'T=0 only, no interface bytes and no TCK',
+    atr: '3B 02 14 50',
+    structure: { historicalStart: 2, k: 2, tckIndex: null },
+    info: {
+      cardType: null,
+      standard: null,
+      cardName: null,
+      rid: null,
+      historicalBytes: '14:50',
+    },
+  },
+];
+
+for (const entry of CORPUS) {
+  test('atrStructure: ' + entry.name, () => {
+    const s = ctx.atrStructure(bytes(entry.atr));
+    assert.deepEqual(
+      { historicalStart: s.historicalStart, k: s.k, tckIndex: s.tckIndex },
+      entry.structure,
+    );
+  });
+
+  test('parseAtr: ' + entry.name, () => {
+    assert.deepStrictEqual(plain(ctx.parseAtr(bytes(entry.atr))), entry.info);
+  });
+}
+
+test('atrStructure reads interface byte groups and the protocol that introduced them', () => {
+  const s = plain(ctx.atrStructure(bytes('3B FA 13 00 00 81 31 FE 45 4A 43 4F 50 34 31 56 32 32 31 96')));
+  assert.deepStrictEqual(s.groups, [
+    { TA: 0x13, TB: 0x00, TC: 0x00, TD: 0x81, protocol: null },
+    { TA: null, TB: null, TC: null, TD: 0x31, protocol: 1 },
+    { TA: 0xFE, TB: 0x45, TC: null, TD: null, protocol: 1 },
+  ]);
+});
+
+test('truncated ATRs have no structure and parse to empty info', () => {
+  for (const atr of ['3B', '3B 8F 80', '3B FA 13 00 00 81 31 FE 45 4A 43']) {
+    assert.equal(ctx.atrStructure(bytes(atr)), null, atr);
+    assert.deepStrictEqual(plain(ctx.parseAtr(bytes(atr))), {
+      cardType: null,
+      standard: null,
+      cardName: null,
+      rid: null,
+      historicalBytes: null,
+    }, atr);
+  }
+});
+
+test('unknown PC/SC card names and standards are reported by code', () => {
+  const info = ctx.parseAtr(bytes('3B 8F 80 01 80 4F 0C A0 00 00 03 06 09 12 34 00 00 00 00 00'));
+  assert.equal(info.standard, 'Standard 0x09');
+  assert.equal(info.cardName, 'Type 0x1234');
+});
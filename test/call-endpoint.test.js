@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackground, plain } = require('./harness');
+
+// A card as readCardData returns it
+const CARD = {
+  reader: 'ACS ACR122U PICC Interface',
+  uid: '04:A1:B2:C3:D4:E5:F6',
+  atr: '3B:8F:80:01:80:4F:0C:A0:00:00:03:06:03:00:03:00:00:00:00:68',
+  cardInfo: {
+    cardType: null,
+    standard: 'ISO 14443 A, Part 3',
+    cardName: 'MIFARE Ultralight',
+    rid: 'NXP (PC/SC standard)',
+    historicalBytes: '80:4F:0C:A0:00:00:03:06:03:00:03:00:00:00:00',
+  },
+  atrDetails: null,
+  mifare: null,
+  scripts: null,
+  ndef: null,
+};
+
+async function send(t, settings, card = CARD) {
+  const bg = await startBackground({ endpointUrl: 'https://api.example.test/cards', venueId: 'venue-7', ...settings });
+  t.after(bg.stop);
+  bg.context.testCard = card;
+  await bg.eval('callEndpoint(testCard)');
+  assert.equal(bg.requests.length, 1);
+  return bg.requests[0];
+}
+
+test('default body', async (t) => {
+  const request = await send(t, {});
+  assert.equal(request.url, 'https://api.example.test/cards');
+  assert.equal(request.method, 'POST');
+  assert.deepStrictEqual(request.headers, { 'Content-Type': 'application/json' });
+  assert.deepStrictEqual(request.body, {
+    card_id: '04:A1:B2:C3:D4:E5:F6',
+    venue_id: 'venue-7',
+    client_id: 'test-client',
+    reader_name: 'ACS ACR122U PICC Interface',
+    card_atr: '3B:8F:80:01:80:4F:0C:A0:00:00:03:06:03:00:03:00:00:00:00:68',
+    card_name: 'MIFARE Ultralight',
+    card_standard: 'ISO 14443 A, Part 3',
+    card_rid: 'NXP (PC/SC standard)',
+  });
+});
+
+test('default body with card memory, NDEF records and static fields', async (t) => {
+  const request = await send(t, { staticFields: '{"site": "north", "venue_id": "override"}' }, {
+    ...CARD,
+    mifare: { member: '12345' },
+    scripts: { pan: '4111' },
+    ndef: { records: [{ tnf: 'well-known', type: 'U', recordType: 'uri', uri: 'https://example.com/m/1' }] },
+  });
+  assert.deepStrictEqual(request.body, {
+    card_id: '04:A1:B2:C3:D4:E5:F6',
+    venue_id: 'override',
+    client_id: 'test-client',
+    reader_name: 'ACS ACR122U PICC Interface',
+    card_atr: '3B:8F:80:01:80:4F:0C:A0:00:00:03:06:03:00:03:00:00:00:00:68',
+    card_name: 'MIFARE Ultralight',
+    card_standard: 'ISO 14443 A, Part 3',
+    card_rid: 'NXP (PC/SC standard)',
+    card_data: { member: '12345', pan: '4111' },
+    card_ndef: [{ tnf: 'well-known', type: 'U', recordType: 'uri', uri: 'https://example.com/m/1' }],
+    site: 'north',
+  });
+});
+
+test('a card without ATR or card info sends only the identifiers', async (t) => {
+  const request = await send(t, {}, { ...CARD, atr: null, cardInfo: null });
+  assert.deepStrictEqual(request.body, {
+    card_id: '04:A1:B2:C3:D4:E5:F6',
+    venue_id: 'venue-7',
+    client_id: 'test-client',
+    reader_name: 'ACS ACR122U PICC Interface',
+  });
+});
+
+test('payload template and HTTP method', async (t) => {
+  const request = await send(t, {
+    httpMethod: 'PUT',
+    payloadTemplate: JSON.stringify({
+      badge: '{{uid}}',
+      where: { venue: '{{venueId}}', reader: '{{reader}}' },
+      kind: '{{cardInfo.cardName}}',
+    }),
+  });
+  assert.equal(request.method, 'PUT');
+  assert.deepStrictEqual(request.body, {
+    badge: '04:A1:B2:C3:D4:E5:F6',
+    where: { venue: 'venue-7', reader: 'ACS ACR122U PICC Interface' },
+    kind: 'MIFARE Ultralight',
+  });
+});
+
+test('bearer authentication header', async (t) => {
+  const request = await send(t, { authMode: 'bearer', authToken: 's3cr3t' });
+  assert.deepStrictEqual(request.headers, {
+    'Content-Type': 'application/json',
+    'Authorization': 'Bearer s3cr3t',
+  });
+});
+
+test('a UID format adds the formatted UID next to the raw one', async (t) => {
+  const request = await send(t, { uidEncoding: 'wiegand26', uidSeparator: '/' });
+  assert.equal(request.body.card_id, '04:A1:B2:C3:D4:E5:F6');
+  assert.equal(request.body.card_id_formatted, '212/58870');
+  assert.deepStrictEqual(request.body.card_wiegand, {
+    facility_code: 212,
+    card_number: 58870,
+    bits: '11101010011100101111101101',
+  });
+});
+
+test('a routing target overrides parts of the UID format', async (t) => {
+  const request = await send(t, {
+    uidTruncate: 4,
+    uidSeparator: '',
+    routingRules: JSON.stringify([{
+      name: 'access',
+      url: 'https://access.example.test/badge',
+      uidFormat: { encoding: 'decimal', reverse: true },
+      template: { badge: '{{uidFormatted}}', raw: '{{uid}}', wiegand: '{{wiegand}}' },
+    }]),
+  });
+  assert.equal(request.url, 'https://access.example.test/badge');
+  assert.deepStrictEqual(request.body, { badge: '3283263748', raw: '04:A1:B2:C3:D4:E5:F6', wiegand: null });
+});
+
+test('a resent routed request goes out as its rule target, with the edited body', async (t) => {
+  const route = { rule: 'access', target: 2, of: 2 };
+  const bg = await startBackground({
+    endpointUrl: 'https://api.example.test/cards',
+    routingRules: JSON.stringify([{
+      name: 'access',
+      targets: [
+        { url: 'https://audit.example.test/reads' },
+        { url: 'https://access.example.test/badge', method: 'PUT', headers: { 'X-Api-Key': 'k3y' } },
+      ],
+    }]),
+  });
+  t.after(bg.stop);
+  bg.context.testCard = CARD;
+  bg.context.overrides = { url: 'https://access.example.test/badge', body: { badge: 'edited' }, route };
+  await bg.eval('callEndpoint(testCard, overrides)');
+
+  assert.equal(bg.requests.length, 1);
+  const [request] = bg.requests;
+  assert.equal(request.url, 'https://access.example.test/badge');
+  assert.equal(request.method, 'PUT');
+  assert.equal(request.headers['X-Api-Key'], 'k3y');
+  assert.deepStrictEqual(request.body, { badge: 'edited' });
+  assert.deepStrictEqual(plain(bg.eval('currentState.apiRequest.route')), route);
+});
+
+test('a resend to a WebSocket URL other than the configured one is refused', async (t) => {
+  const bg = await startBackground({ wsUrl: 'wss://events.example.test/ws' });
+  t.after(bg.stop);
+  let reply;
+  bg.chrome.runtime.onMessage.dispatch(
+    { type: 'resendRequest', url: 'wss://other.example.test/ws', body: { card_id: '04:A1:B2:C3' } },
+    {}, (r) => { reply = r; });
+  assert.deepStrictEqual(plain(reply), {
+    ok: false,
+    error: 'WebSocket events can only be resent to the configured WebSocket URL (wss://events.example.test/ws)',
+  });
+  assert.equal(bg.eval('currentState.apiRequest'), null);
+});
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackground, okResponse, hangingResponse, waitFor, plain } = require('./harness');
+
+const READER = 'Simulated Reader 00 00';
+const OTHER_READER = 'Simulated Reader 01 00';
+const CARD = { reader: READER, uid: '04:00:00:01', atr: null, cardInfo: null };
+
+async function start(t, settings, respond) {
+  const bg = await startBackground({ endpointUrl: 'https://api.example.test/cards', ...settings }, respond);
+  t.after(bg.stop);
+  bg.context.testCard = CARD;
+  return bg;
+}
+
+function inFlight(bg) {
+  return plain(bg.eval('currentState.inFlight'));
+}
+
+// Cancel the way the popup does
+function cancel(bg, id) {
+  let reply;
+  bg.chrome.runtime.onMessage.dispatch({ type: 'cancelRequest', id }, {}, (r) => { reply = r; });
+  return reply;
+}
+
+test('a request without an answer times out and is queued for retry', async (t) => {
+  const bg = await start(t, { requestTimeoutSeconds: 1 }, hangingResponse);
+  const result = await bg.eval('callEndpoint(testCard)');
+  assert.equal(result.response.error, 'Timed out after 1s');
+  assert.ok(result.queueId);
+  assert.deepStrictEqual(inFlight(bg), []);
+});
+
+test('a 2xx answer whose JSON body does not parse is delivered, not retried', async (t) => {
+  const bg = await start(t, {}, () => new Response('OK, noted', {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  }));
+  const result = await bg.eval('callEndpoint(testCard)');
+  assert.equal(result.response.status, 200);
+  assert.equal(result.response.body, 'OK, noted');
+  assert.equal(result.queueId, null);
+  assert.equal(bg.requests.length, 1);
+  assert.deepStrictEqual(plain(bg.eval('deliveryQueue')), []);
+});
+
+test('a queued entry is sent once when retried from the popup while the queue runs', async (t) => {
+  // The first attempt fails, retries wait for an answer
+  const answers = [];
+  let calls = 0;
+  const bg = await start(t, {}, () => (++calls === 1
+    ? new Response('', { status: 503 })
+    : new Promise(resolve => answers.push(resolve))));
+  const { queueId } = await bg.eval('callEndpoint(testCard)');
+  assert.ok(queueId);
+
+  bg.eval('deliveryQueue[0].nextAttemptAt = 0');
+  bg.chrome.runtime.onMessage.dispatch({ type: 'retryQueued', id: queueId }, {}, () => {});
+  const processing = bg.eval('processQueue()');
+  bg.chrome.runtime.onMessage.dispatch({ type: 'retryQueued', id: queueId }, {}, () => {});
+  await waitFor(() => answers.length === 1, 3000, 'retry sent');
+  await processing;
+
+  answers[0](okResponse());
+  await waitFor(() => bg.eval('deliveryQueue.length') === 0, 3000, 'entry delivered');
+  assert.equal(bg.requests.length, 2);
+});
+
+test('an outstanding request can be cancelled and is not retried', async (t) => {
+  const bg = await start(t, { requestTimeoutSeconds: 0 }, hangingResponse);
+  const pending = bg.eval('callEndpoint(testCard)');
+  await waitFor(() => inFlight(bg).length === 1, 3000, 'request sent');
+
+  const [request] = inFlight(bg);
+  assert.equal(request.url, 'https://api.example.test/cards');
+  assert.equal(request.cardUid, '04:00:00:01');
+  assert.equal(request.waiting, false);
+
+  assert.deepStrictEqual(plain(cancel(bg, request.id)), { ok: true });
+  const result = await pending;
+  assert.equal(result.response.error, 'Cancelled');
+  assert.equal(result.queueId, null);
+  assert.deepStrictEqual(inFlight(bg), []);
+  assert.deepStrictEqual(plain(cancel(bg, request.id)), { ok: false });
+});
+
+test('a queue retry cancelled from the popup leaves the queue without counting as an attempt', async (t) => {
+  let calls = 0;
+  const bg = await start(t, { requestTimeoutSeconds: 0 }, (request, signal) => (++calls === 1
+    ? new Response('', { status: 503 })
+    : hangingResponse(request, signal)));
+  const { queueId } = await bg.eval('callEndpoint(testCard)');
+  assert.ok(queueId);
+
+  bg.chrome.runtime.onMessage.dispatch({ type: 'retryQueued', id: queueId }, {}, () => {});
+  await waitFor(() => inFlight(bg).length === 1, 3000, 'retry sent');
+  assert.deepStrictEqual(plain(cancel(bg, inFlight(bg)[0].id)), { ok: true });
+
+  await waitFor(() => bg.eval('deliveryQueue.length') === 0, 3000, 'entry removed');
+  const logged = plain(bg.eval('debugLog')).find(l => l.message === 'Queued request cancelled and removed from the queue');
+  assert.deepStrictEqual(logged.detail, { id: queueId, attempts: 1 });
+  assert.equal(bg.requests.length, 2);
+});
+
+test('a read without a UID is recorded in the history but not sent', async (t) => {
+  const bg = await start(t, {});
+  bg.eval('var recorded = []; recordScan = (card, readAt, repeat, fields) => recorded.push({ uid: card.uid, ...fields })');
+  await bg.eval('deliverRead({ ...testCard, uid: null })');
+  assert.deepStrictEqual(plain(bg.eval('recorded')), [
+    { uid: null, outcome: 'no-uid', error: 'The card did not return a UID' },
+  ]);
+  assert.equal(bg.requests.length, 0);
+});
+
+test('requests over the in-flight limit wait for a slot', async (t) => {
+  const answers = [];
+  const bg = await start(t, { maxInFlightRequests: 2 }, () => new Promise(resolve => answers.push(resolve)));
+  const results = [1, 2, 3, 4].map(() => bg.eval('callEndpoint(testCard)'));
+
+  await waitFor(() => inFlight(bg).length === 4, 3000, 'requests tracked');
+  assert.equal(bg.requests.length, 2);
+  assert.deepStrictEqual(inFlight(bg).map(r => r.waiting), [false, false, true, true]);
+
+  // A waiting request is cancelled without being sent
+  assert.deepStrictEqual(plain(cancel(bg, inFlight(bg)[3].id)), { ok: true });
+  assert.equal((await results[3]).response.error, 'Cancelled');
+
+  answers[0](okResponse());
+  await waitFor(() => bg.requests.length === 3, 3000, 'third request sent');
+  answers[1](okResponse());
+  answers[2](okResponse());
+  for (const result of results.slice(0, 3)) assert.equal((await result).response.status, 200);
+  assert.equal(bg.requests.length, 3);
+  assert.deepStrictEqual(inFlight(bg), []);
+});
+
+test('blocking delivery holds detection until the request is answered', async (t) => {
+  const bg = await start(t, {
+    deliveryMode: 'blocking',
+    requestTimeoutSeconds: 0,
+    simulatorScenario: JSON.stringify({ readers: [READER, OTHER_READER] }),
+  }, hangingResponse);
+  await waitFor(() => bg.eval('currentState.readers[' + JSON.stringify(OTHER_READER) + ']?.status') === 'empty');
+
+  bg.simulator.insertCard(READER, { uid: '04:00:00:01' });
+  await waitFor(() => inFlight(bg).length === 1, 3000, 'first request');
+  bg.simulator.insertCard(OTHER_READER, { uid: '04:00:00:02' });
+  await new Promise(resolve => setTimeout(resolve, 300));
+  assert.equal(bg.requests.length, 1);
+
+  cancel(bg, inFlight(bg)[0].id);
+  await waitFor(() => bg.requests.length === 2, 3000, 'second card read after the first request ended');
+});
+
+test('async delivery keeps detecting cards while requests are outstanding', async (t) => {
+  const bg = await start(t, {
+    deliveryMode: 'async',
+    requestTimeoutSeconds: 0,
+    simulatorScenario: JSON.stringify({ readers: [READER, OTHER_READER] }),
+  }, hangingResponse);
+  await waitFor(() => bg.eval('currentState.readers[' + JSON.stringify(OTHER_READER) + ']?.status') === 'empty');
+
+  bg.simulator.insertCard(READER, { uid: '04:00:00:01' });
+  bg.simulator.insertCard(OTHER_READER, { uid: '04:00:00:02' });
+  await waitFor(() => bg.requests.length === 2, 3000, 'both cards sent');
+  assert.deepStrictEqual(bg.requests.map(r => r.body.card_id).sort(), ['04:00:00:01', '04:00:00:02']);
+  assert.equal(inFlight(bg).length, 2);
+  for (const request of inFlight(bg)) cancel(bg, request.id);
+});
+
+test('the cooldown window runs from the first read and is not extended by repeats', async (t) => {
+  const bg = await start(t, { cooldownSeconds: 10 });
+  const opened = 1_000_000;
+  bg.context.now = opened;
+  bg.eval('Date.now = () => now');
+  const read = async (at) => {
+    bg.context.now = opened + at;
+    return plain(await bg.eval('checkCooldown("04:00:00:01")'));
+  };
+
+  assert.equal(await read(0), null);
+  assert.deepStrictEqual(await read(5000), { lastReadAt: opened, repeatCount: 1 });
+  assert.deepStrictEqual(await read(9999), { lastReadAt: opened, repeatCount: 2 });
+  // Just after the window ends: a new window starts
+  assert.equal(await read(10000), null);
+  assert.deepStrictEqual(await read(10001), { lastReadAt: opened + 10000, repeatCount: 1 });
+});
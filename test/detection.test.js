@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackground, waitFor, plain } = require('./harness');
+
+const READER = 'Simulated Reader 00 00';
+const OTHER_READER = 'Simulated Reader 01 00';
+
+function readerStatus(bg, name) {
+  return bg.eval('currentState.readers[' + JSON.stringify(name) + ']?.status');
+}
+
+function sentUids(bg) {
+  return bg.requests.map(r => r.body.card_id);
+}
+
+// Poll mode looks at the readers every POLL_INTERVAL_MS (1.5 s)
+for (const mode of ['event', 'poll']) {
+  test(mode + ' mode: card present and removed', async (t) => {
+    const bg = await startBackground({
+      detectionMode: mode,
+      endpointUrl: 'https://api.example.test/cards',
+      simulatorScenario: JSON.stringify({ readers: [READER] }),
+    });
+    t.after(bg.stop);
+
+    await waitFor(() => readerStatus(bg, READER) === 'empty', 3000, 'reader attached');
+    assert.equal(bg.eval('currentState.status'), 'ready');
+
+    bg.simulator.insertCard(READER, { uid: '04:A1:B2:C3' });
+    await waitFor(() => bg.requests.length === 1, 3000, 'card read');
+    assert.deepStrictEqual(plain(bg.eval('currentState.readers[' + JSON.stringify(READER) + ']')), {
+      status: 'card',
+      cardUid: '04:A1:B2:C3',
+      cardAtr: '3B:8F:80:01:80:4F:0C:A0:00:00:03:06:03:00:01:00:00:00:00:6A',
+      cardInfo: {
+        cardType: null,
+        standard: 'ISO 14443 A, Part 3',
+        cardName: 'MIFARE Classic 1K',
+        rid: 'NXP (PC/SC standard)',
+        historicalBytes: '80:4F:0C:A0:00:00:03:06:03:00:01:00:00:00:00',
+      },
+    });
+    assert.equal(bg.eval('currentState.status'), 'card');
+    assert.equal(bg.eval('currentState.cardUid'), '04:A1:B2:C3');
+
+    bg.simulator.removeCard(READER);
+    await waitFor(() => readerStatus(bg, READER) === 'empty', 3000, 'card removed');
+    assert.equal(bg.eval('currentState.status'), 'ready');
+    assert.equal(bg.eval('currentState.cardUid'), null);
+    assert.deepStrictEqual(sentUids(bg), ['04:A1:B2:C3']);
+  });
+
+  test(mode + ' mode: each reader is tracked on its own, and a card is read once per tap', async (t) => {
+    const bg = await startBackground({
+      detectionMode: mode,
+      endpointUrl: 'https://api.example.test/cards',
+      simulatorScenario: JSON.stringify({ readers: [READER, OTHER_READER] }),
+    });
+    t.after(bg.stop);
+    await waitFor(() => readerStatus(bg, OTHER_READER) === 'empty', 3000, 'readers attached');
+
+    bg.simulator.insertCard(READER, { uid: '04:00:00:01' });
+    await waitFor(() => bg.requests.length === 1, 3000, 'first card');
+    bg.simulator.insertCard(OTHER_READER, { uid: '04:00:00:02' });
+    await waitFor(() => bg.requests.length === 2, 3000, 'second card');
+
+    // The first card is still there: no new read, and the second reader's
+    // removal leaves it alone
+    bg.simulator.removeCard(OTHER_READER);
+    await waitFor(() => readerStatus(bg, OTHER_READER) === 'empty', 3000, 'second card removed');
+    assert.equal(readerStatus(bg, READER), 'card');
+    assert.equal(bg.eval('currentState.status'), 'card');
+
+    // Tapping again after removal is a new read
+    bg.simulator.removeCard(READER);
+    await waitFor(() => readerStatus(bg, READER) === 'empty', 3000, 'first card removed');
+    bg.simulator.insertCard(READER, { uid: '04:00:00:01' });
+    await waitFor(() => bg.requests.length === 3, 3000, 'repeat tap');
+    assert.deepStrictEqual(sentUids(bg), ['04:00:00:01', '04:00:00:02', '04:00:00:01']);
+  });
+
+  test(mode + ' mode: readers attached and removed while running', async (t) => {
+    const bg = await startBackground({ detectionMode: mode, endpointUrl: 'https://api.example.test/cards' });
+    t.after(bg.stop);
+
+    bg.simulator.addReader(READER);
+    await waitFor(() => readerStatus(bg, READER) === 'empty', 3000, 'reader attached');
+    bg.simulator.insertCard(READER, { uid: '04:00:00:03' });
+    await waitFor(() => readerStatus(bg, READER) === 'card', 3000, 'card read');
+
+    bg.simulator.removeReader(READER);
+    await waitFor(() => readerStatus(bg, READER) === undefined, 3000, 'reader removed');
+    assert.equal(bg.eval('currentState.readerName'), null);
+    assert.equal(bg.eval('currentState.cardUid'), null);
+  });
+
+  test(mode + ' mode: unresponsive cards are flagged and not read', async (t) => {
+    const bg = await startBackground({
+      detectionMode: mode,
+      endpointUrl: 'https://api.example.test/cards',
+      simulatorScenario: JSON.stringify({ readers: [READER] }),
+    });
+    t.after(bg.stop);
+    await waitFor(() => readerStatus(bg, READER) === 'empty', 3000, 'reader attached');
+
+    bg.simulator.insertCard(READER, { mute: true });
+    await waitFor(() => readerStatus(bg, READER) === 'mute', 3000, 'mute card');
+    assert.equal(bg.requests.length, 0);
+  });
+}
+
+test('event mode: SCardGetStatusChange timeouts keep watching', async (t) => {
+  const bg = await startBackground({
+    detectionMode: 'event',
+    endpointUrl: 'https://api.example.test/cards',
+    simulatorScenario: JSON.stringify({ readers: [READER] }),
+  });
+  t.after(bg.stop);
+  await waitFor(() => readerStatus(bg, READER) === 'empty', 3000, 'reader attached');
+
+  bg.simulator.injectError('SCardGetStatusChange', bg.eval('SCARD_E_TIMEOUT'), 3);
+  bg.simulator.insertCard(READER, { uid: '04:00:00:04' });
+  await waitFor(() => bg.requests.length === 1, 3000, 'card read after timeouts');
+  assert.equal(bg.eval('currentState.error'), null);
+});
+
+test('event mode: a cancelled SCardGetStatusChange re-lists readers', async (t) => {
+  const bg = await startBackground({
+    detectionMode: 'event',
+    endpointUrl: 'https://api.example.test/cards',
+    simulatorScenario: JSON.stringify({ readers: [READER] }),
+  });
+  t.after(bg.stop);
+  await waitFor(() => readerStatus(bg, READER) === 'empty', 3000, 'reader attached');
+
+  const lists = () => bg.simulator.calls.filter(c => c.functionName === 'SCardListReaders').length;
+  const before = lists();
+  bg.simulator.injectError('SCardGetStatusChange', bg.eval('SCARD_E_CANCELLED'));
+  bg.simulator.insertCard(READER, { uid: '04:00:00:05' });
+  await waitFor(() => bg.requests.length === 1, 3000, 'card read after cancel');
+  assert.ok(lists() > before);
+});
@@ -0,0 +1,195 @@
+/**
+ * Test harness: runs the extension's classic scripts in a vm context with a
+ * stub of the chrome.* APIs they use, the same way Chrome loads them
+ * (globals shared between files, importScripts in the service worker).
+ *
+ * Top-level const and class declarations are not properties of the
+ * context's global object; get them with pick(). Objects created inside the
+ * context have their own prototypes, so compare them with plain() before
+ * assert.deepStrictEqual.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * A chrome.events.Event stand-in that records its listeners.
+ */
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: fn => listeners.push(fn),
+    removeListener: fn => listeners.splice(listeners.indexOf(fn) >>> 0, 1),
+    hasListener: fn => listeners.includes(fn),
+    dispatch: (...args) => listeners.map(fn => fn(...args)),
+  };
+}
+
+function createStorageArea(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    get: async (keys) => {
+      if (keys === null || keys === undefined) return { ...data };
+      const out = {};
+      for (const key of Array.isArray(keys) ? keys : [keys]) {
+        if (key in data) out[key] = data[key];
+      }
+      return out;
+    },
+    set: async (values) => { Object.assign(data, values); },
+    remove: async (keys) => {
+      for (const key of Array.isArray(keys) ? keys : [keys]) delete data[key];
+    },
+  };
+}
+
+/**
+ * The subset of chrome.* the extension uses. Messages sent with
+ * runtime.sendMessage are kept in chrome.sent.
+ * @param {object} [local] - initial chrome.storage.local contents
+ */
+function createChrome(local = {}) {
+  const sent = [];
+  return {
+    sent,
+    runtime: {
+      id: 'testextensionid',
+      lastError: undefined,
+      sendMessage: async (msg) => { sent.push(msg); },
+      connect: () => { throw new Error('chrome.runtime.connect is not available in tests'); },
+      getURL: file => 'chrome-extension://testextensionid/' + file,
+      onMessage: createEvent(),
+      onConnect: createEvent(),
+      onConnectExternal: createEvent(),
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+    },
+    storage: {
+      local: createStorageArea(local),
+      session: createStorageArea(),
+      managed: createStorageArea(),
+      onChanged: createEvent(),
+    },
+    alarms: { create() {}, onAlarm: createEvent() },
+    notifications: { create() {}, onClicked: createEvent() },
+    scripting: {
+      getRegisteredContentScripts: async () => [],
+      registerContentScripts: async () => {},
+      unregisterContentScripts: async () => {},
+    },
+    action: { openPopup: async () => {} },
+    tabs: { create: async () => {} },
+  };
+}
+
+/**
+ * Load scripts (paths relative to the repository root) into a new context.
+ * @param {string[]} files
+ * @param {object} [globals] - extra globals, e.g. chrome or fetch
+ */
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({
+    console,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    crypto: globalThis.crypto,
+    performance,
+    URL,
+    TextEncoder,
+    TextDecoder,
+    Response,
+    Headers,
+    AbortController,
+    ...globals,
+  });
+  context.self = context;
+  context.importScripts = (...names) => names.forEach(name => runFile(context, name));
+  for (const file of files) runFile(context, file);
+  return context;
+}
+
+function runFile(context, file) {
+  vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+}
+
+/**
+ * Start background.js against the PC/SC simulator.
+ * @param {object} [settings] - chrome.storage.local contents; pcscBackend
+ *   is forced to 'simulator'
+ * @param {function} [respond] - (request, signal) => Response or a promise
+ *   of one; defaults to 200 {"ok":true}
+ * @returns {{ context, chrome, requests, eval, simulator, stop }} where
+ *   requests are the fetch calls as { url, method, headers, body }
+ */
+async function startBackground(settings = {}, respond = okResponse) {
+  const chrome = createChrome({ clientId: 'test-client', ...settings, pcscBackend: 'simulator' });
+  const requests = [];
+  const fetch = async (url, options) => {
+    const request = { url, method: options.method, headers: { ...options.headers }, body: JSON.parse(options.body) };
+    requests.push(request);
+    return respond(request, options.signal);
+  };
+  const quiet = { ...console, log() {} };
+  const context = loadScripts(['background.js'], { chrome, fetch, console: quiet });
+  const evaluate = code => vm.runInContext(code, context);
+
+  await waitFor(() => evaluate('pcscSimulator !== null && running && client && client.isConnected()'));
+  return {
+    context,
+    chrome,
+    requests,
+    eval: evaluate,
+    simulator: evaluate('pcscSimulator'),
+    stop: () => evaluate('running = false; clearTimeout(queueTimer); if (client) client.dispose();'),
+  };
+}
+
+function okResponse() {
+  return new Response('{"ok":true}', { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * A response that never arrives: rejects with the abort reason once the
+ * request is aborted, like fetch does.
+ */
+function hangingResponse(request, signal) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason));
+  });
+}
+
+/**
+ * Globals from a context by name, including const and class declarations.
+ */
+function pick(context, names) {
+  const out = {};
+  for (const name of names) out[name] = vm.runInContext(name, context);
+  return out;
+}
+
+/**
+ * Resolve once predicate() is truthy; reject after timeoutMs.
+ */
+async function waitFor(predicate, timeoutMs = 3000, what = 'condition') {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for ' + what);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// Copy a value out of a vm context so it compares with deepStrictEqual
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  createChrome, createEvent, loadScripts, pick, startBackground, okResponse, hangingResponse, waitFor, plain,
+};
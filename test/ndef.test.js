@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./harness');
+
+const ctx = loadScripts(['ndef.js']);
+
+const CARD = { handle: 1, protocol: 2 };
+
+/**
+ * A Type 2 tag as an array of pages, answering READ BINARY with 4 pages
+ * and UPDATE BINARY with one, like a contactless reader does.
+ */
+function createTag(pageCount, pages) {
+  const memory = new Array(pageCount * 4).fill(0);
+  for (const [page, bytes] of Object.entries(pages)) memory.splice(page * 4, bytes.length, ...bytes);
+  return {
+    memory,
+    writes: [],
+    async readBinary(handle, protocol, page, length) {
+      return memory.slice(page * 4, page * 4 + length);
+    },
+    async updateBinary(handle, protocol, page, data) {
+      this.writes.push(page);
+      memory.splice(page * 4, 4, ...data);
+    },
+    page(n) {
+      return memory.slice(n * 4, n * 4 + 4);
+    },
+  };
+}
+
+// NTAG213: 144 bytes of user memory in pages 4-39, no Lock Control TLV
+function ntag213() {
+  return createTag(45, { 3: [0xE1, 0x10, 0x12, 0x00], 4: [0x03, 0x00, 0xFE, 0x00] });
+}
+
+// MIFARE Ultralight C: 144 bytes, Lock Control TLV for the 16 lock bits in page 40
+function ultralightC() {
+  return createTag(48, { 3: [0xE1, 0x10, 0x12, 0x00], 4: [0x01, 0x03, 0xA0, 0x10, 0x44, 0x03, 0x00, 0xFE] });
+}
+
+const MESSAGE = () => ctx.encodeNdefMessage([{ type: 'uri', value: 'https://example.com/t/123' }]);
+
+test('a message is written from page 4 and reads back', async () => {
+  const tag = ntag213();
+  const written = plain(await ctx.writeType2Ndef(tag, CARD, MESSAGE()));
+  assert.deepStrictEqual(written, { bytesWritten: 28, locked: false, unlockedPages: null });
+  assert.equal(tag.writes[0], 4);
+  assert.deepStrictEqual(plain((await ctx.readType2Ndef(tag, CARD)).records), [
+    { tnf: 'well-known', type: 'U', recordType: 'uri', uri: 'https://example.com/t/123' },
+  ]);
+});
+
+test('a Lock Control TLV at the start of user memory is kept', async () => {
+  const tag = ultralightC();
+  await ctx.writeType2Ndef(tag, CARD, MESSAGE());
+  assert.deepStrictEqual(tag.memory.slice(16, 23), [0x01, 0x03, 0xA0, 0x10, 0x44, 0x03, 22]);
+  assert.equal(tag.writes[0], 5);
+  assert.equal((await ctx.readType2Ndef(tag, CARD)).records[0].uri, 'https://example.com/t/123');
+});
+
+test('a message may not overwrite memory a Memory Control TLV reserves', async () => {
+  // 8 bytes reserved at byte 32 (page 8)
+  const tag = createTag(45, { 3: [0xE1, 0x10, 0x12, 0x00], 4: [0x02, 0x03, 0x80, 0x08, 0x02, 0x03, 0x00, 0xFE] });
+  await assert.rejects(ctx.writeType2Ndef(tag, CARD, MESSAGE()), { message: 'Message would overwrite memory reserved at byte 32' });
+});
+
+test('locking sets the dynamic lock bits a Lock Control TLV points to', async () => {
+  const tag = ultralightC();
+  const written = plain(await ctx.writeType2Ndef(tag, CARD, MESSAGE(), { lock: true }));
+  assert.deepStrictEqual(written, { bytesWritten: 27, locked: true, unlockedPages: null });
+  assert.deepStrictEqual(tag.page(3), [0xE1, 0x10, 0x12, 0x0F]);
+  assert.deepStrictEqual(tag.page(2).slice(2), [0xFF, 0xFF]);
+  assert.deepStrictEqual(tag.page(40), [0xFF, 0xFF, 0x00, 0x00]);
+});
+
+test('without a Lock Control TLV, locking reports the pages left writable', async () => {
+  const tag = ntag213();
+  const written = plain(await ctx.writeType2Ndef(tag, CARD, MESSAGE(), { lock: true }));
+  assert.deepStrictEqual(written, { bytesWritten: 28, locked: true, unlockedPages: { from: 16, to: 39 } });
+  assert.deepStrictEqual(tag.page(40), [0, 0, 0, 0]);
+});
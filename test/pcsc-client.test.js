@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createChrome, createEvent, loadScripts, pick, plain } = require('./harness');
+
+const ctx = pick(loadScripts(['atr.js', 'pcsc-client.js'], { chrome: createChrome() }), [
+  'PcscClient', 'PcscError', 'SCARD_S_SUCCESS', 'SCARD_SHARE_SHARED', 'SCARD_PROTOCOL_ANY', 'SCARD_PROTOCOL_T1',
+  'SCARD_W_UNRESPONSIVE_CARD', 'SCARD_E_NO_READERS_AVAILABLE',
+]);
+
+/**
+ * A port that records requests and lets the test answer them in any order.
+ */
+function createFakePort() {
+  const port = {
+    requests: [],
+    disconnected: false,
+    onMessage: createEvent(),
+    onDisconnect: createEvent(),
+    postMessage: msg => port.requests.push(msg),
+    disconnect: () => { port.disconnected = true; },
+    respond: (requestId, data) => port.onMessage.dispatch({
+      type: 'pcsc_lite_function_call::response',
+      data: { request_id: requestId, ...data },
+    }),
+  };
+  return port;
+}
+
+async function connectedClient() {
+  const port = createFakePort();
+  const client = new ctx.PcscClient(() => port);
+  await client.connect();
+  const established = client.establishContext();
+  port.respond(port.requests[0].data.request_id, { payload: [ctx.SCARD_S_SUCCESS, 7] });
+  await established;
+  port.requests.length = 0;
+  return { client, port };
+}
+
+test('requests carry increasing ids and the function call payload', async () => {
+  const { client, port } = await connectedClient();
+  // Left unanswered; dispose() rejects them
+  client.listReaders().catch(() => {});
+  client.connectCard('Reader A').catch(() => {});
+
+  const [first, second] = plain(port.requests);
+  assert.equal(first.type, 'pcsc_lite_function_call::request');
+  assert.deepStrictEqual(first.data.payload, { function_name: 'SCardListReaders', arguments: [7, null] });
+  assert.deepStrictEqual(second.data.payload, {
+    function_name: 'SCardConnect',
+    arguments: [7, 'Reader A', ctx.SCARD_SHARE_SHARED, ctx.SCARD_PROTOCOL_ANY],
+  });
+  assert.equal(second.data.request_id, first.data.request_id + 1);
+  client.dispose();
+});
+
+test('responses are matched to requests by id, in any order', async () => {
+  const { client, port } = await connectedClient();
+  const readers = client.listReaders();
+  const card = client.connectCard('Reader A');
+  const [listId, connectId] = port.requests.map(r => r.data.request_id);
+
+  port.respond(connectId, { payload: [ctx.SCARD_S_SUCCESS, 99, ctx.SCARD_PROTOCOL_T1] });
+  port.respond(listId, { payload: [ctx.SCARD_S_SUCCESS, ['Reader A', 'Reader B']] });
+
+  assert.deepStrictEqual(plain(await card), { handle: 99, protocol: ctx.SCARD_PROTOCOL_T1 });
+  assert.deepStrictEqual(plain(await readers), ['Reader A', 'Reader B']);
+  client.dispose();
+});
+
+test('responses for unknown request ids are ignored', async () => {
+  const { client, port } = await connectedClient();
+  const readers = client.listReaders();
+  port.respond(12345, { payload: [ctx.SCARD_S_SUCCESS, ['Wrong']] });
+  port.respond(port.requests[0].data.request_id, { payload: [ctx.SCARD_S_SUCCESS, ['Right']] });
+  assert.deepStrictEqual(plain(await readers), ['Right']);
+  client.dispose();
+});
+
+test('a non-zero result code rejects with a PcscError carrying the code', async () => {
+  const { client, port } = await connectedClient();
+  const card = client.connectCard('Reader A');
+  port.respond(port.requests[0].data.request_id, { payload: [ctx.SCARD_W_UNRESPONSIVE_CARD] });
+
+  await assert.rejects(card, (e) => {
+    assert.ok(e instanceof ctx.PcscError);
+    assert.equal(e.code, ctx.SCARD_W_UNRESPONSIVE_CARD);
+    assert.equal(e.message, 'PC/SC error: 0x80100066');
+    return true;
+  });
+  client.dispose();
+});
+
+test('SCARD_E_NO_READERS_AVAILABLE lists no readers instead of failing', async () => {
+  const { client, port } = await connectedClient();
+  const readers = client.listReaders();
+  port.respond(port.requests[0].data.request_id, { payload: [ctx.SCARD_E_NO_READERS_AVAILABLE] });
+  assert.deepStrictEqual(plain(await readers), []);
+  client.dispose();
+});
+
+test('a connector-level error rejects with its message', async () => {
+  const { client, port } = await connectedClient();
+  const status = client.status(5);
+  port.respond(port.requests[0].data.request_id, { error: 'Unknown function' });
+  await assert.rejects(status, { message: 'PC/SC error: Unknown function' });
+  client.dispose();
+});
+
+test('readCardUid returns the UID for 90 00 and null otherwise', async () => {
+  const { client, port } = await connectedClient();
+  const uid = client.readCardUid(5, ctx.SCARD_PROTOCOL_T1);
+  const failed = client.readCardUid(5, ctx.SCARD_PROTOCOL_T1);
+  const [ok, bad] = port.requests.map(r => r.data.request_id);
+  assert.deepStrictEqual(plain(port.requests[0].data.payload.arguments[2]), [0xFF, 0xCA, 0x00, 0x00, 0x00]);
+
+  port.respond(ok, { payload: [ctx.SCARD_S_SUCCESS, { protocol: 2 }, [0x04, 0xA1, 0xB2, 0xC3, 0x90, 0x00]] });
+  port.respond(bad, { payload: [ctx.SCARD_S_SUCCESS, { protocol: 2 }, [0x6A, 0x81]] });
+  assert.equal(await uid, '04:A1:B2:C3');
+  assert.equal(await failed, null);
+  client.dispose();
+});
+
+test('a port disconnect rejects every pending request', async () => {
+  const { client, port } = await connectedClient();
+  const pending = [client.listReaders(), client.getStatusChange(1000, [])];
+
+  port.onDisconnect.dispatch();
+  for (const p of pending) await assert.rejects(p, { message: 'Port disconnected' });
+  assert.equal(client.isConnected(), false);
+  await assert.rejects(client.listReaders(), { message: 'No context established' });
+});
+
+test('dispose rejects pending requests and closes the port', async () => {
+  const { client, port } = await connectedClient();
+  const pending = client.listReaders();
+
+  client.dispose();
+  await assert.rejects(pending, { message: 'Client disposed' });
+  assert.equal(port.disconnected, true);
+  assert.equal(client.isConnected(), false);
+});
+
+test('calls before connect fail without touching a port', async () => {
+  const client = new ctx.PcscClient(() => assert.fail('port opened'));
+  await assert.rejects(client.listReaders(), { message: 'No context established' });
+  await assert.rejects(client.status(1), { message: 'Not connected to Smart Card Connector' });
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, pick, plain } = require('./harness');
+
+const ctx = loadScripts(['uid-format.js']);
+const { DEFAULT_UID_FORMAT } = pick(ctx, ['DEFAULT_UID_FORMAT']);
+
+function format(uid, fields) {
+  const parsed = ctx.parseUidFormat(fields);
+  assert.equal(parsed.error, undefined);
+  return plain(ctx.formatUid(uid, parsed.format));
+}
+
+test('the default format is the UID as read', () => {
+  assert.equal(format('04:A1:B2:C3:D4:E5:F6', {}).value, '04:A1:B2:C3:D4:E5:F6');
+  assert.equal(ctx.isDefaultUidFormat(DEFAULT_UID_FORMAT), true);
+  assert.equal(ctx.isDefaultUidFormat(ctx.parseUidFormat({ separator: '' }).format), false);
+});
+
+test('hex with separators, reversal and truncation', () => {
+  assert.equal(format('04:A1:B2:C3', { separator: '' }).value, '04A1B2C3');
+  assert.equal(format('04:A1:B2:C3', { separator: ' - ' }).value, '04 - A1 - B2 - C3');
+  assert.equal(format('04:A1:B2:C3', { reverse: true }).value, 'C3:B2:A1:04');
+  // Truncation keeps the first bytes in card order, then reverses
+  assert.equal(format('04:A1:B2:C3:D4:E5:F6', { truncate: 4, reverse: true }).value, 'C3:B2:A1:04');
+  assert.equal(format('04:A1:B2:C3:D4:E5:F6:07:08:09', { truncate: 7 }).value, '04:A1:B2:C3:D4:E5:F6');
+  assert.equal(format('04:A1:B2:C3', { truncate: 7 }).value, '04:A1:B2:C3');
+});
+
+test('decimal is the bytes as one big-endian number, beyond 2^53', () => {
+  assert.equal(format('04:A1:B2:C3', { encoding: 'decimal' }).value, '77705923');
+  assert.equal(format('04:A1:B2:C3', { encoding: 'decimal', reverse: true }).value, '3283263748');
+  assert.equal(format('04:A1:B2:C3:D4:E5:F6', { encoding: 'decimal', reverse: true }).value, '69495546249912580');
+  assert.equal(format('00:00:00:01', { encoding: 'decimal', separator: '-' }).value, '1');
+});
+
+test('Wiegand 26-bit: facility code, card number and parity', () => {
+  assert.deepStrictEqual(format('04:A1:B2:C3', { encoding: 'wiegand26' }), {
+    value: '161:45763',
+    wiegand: { facilityCode: 161, cardNumber: 45763, bits: '01010000110110010110000110' },
+  });
+  // One 1 in each half: even parity bit set, odd parity bit clear
+  assert.deepStrictEqual(format('01:00:01', { encoding: 'wiegand26', separator: '' }), {
+    value: '00100001',
+    wiegand: { facilityCode: 1, cardNumber: 1, bits: '10000000100000000000000010' },
+  });
+  // One 1 in the first half, none in the second: both parity bits set
+  assert.deepStrictEqual(format('01:00:00', { encoding: 'wiegand26', separator: '' }), {
+    value: '00100000',
+    wiegand: { facilityCode: 1, cardNumber: 0, bits: '10000000100000000000000001' },
+  });
+  assert.equal(format('00:00:00', { encoding: 'wiegand26' }).wiegand.bits, '0' + '0'.repeat(24) + '1');
+});
+
+test('Wiegand 34-bit uses the last 4 bytes', () => {
+  assert.deepStrictEqual(format('04:A1:B2:C3:D4:E5:F6', { encoding: 'wiegand34' }), {
+    value: '50132:58870',
+    wiegand: { facilityCode: 50132, cardNumber: 58870, bits: '0110000111101010011100101111101100' },
+  });
+  assert.equal(format('04:A1:B2:C3', { encoding: 'wiegand34', reverse: true }).value, '50098:41220');
+});
+
+test('a missing UID formats to null', () => {
+  assert.equal(ctx.formatUid(null, DEFAULT_UID_FORMAT), null);
+});
+
+test('parseUidFormat fills missing fields from the base and rejects bad values', () => {
+  assert.deepStrictEqual(plain(ctx.parseUidFormat({ reverse: true }, { ...DEFAULT_UID_FORMAT, encoding: 'decimal' })), {
+    format: { encoding: 'decimal', reverse: true, separator: ':', truncate: 0 },
+  });
+  const errors = [
+    [[], 'must be an object'],
+    [{ encoding: 'octal' }, 'encoding must be one of hex, decimal, wiegand26, wiegand34'],
+    [{ reverse: 'yes' }, 'reverse must be true or false'],
+    [{ separator: '----' }, 'separator must be at most 3 characters'],
+    [{ separator: 'x' }, 'separator must not contain letters or digits'],
+    [{ truncate: 5 }, 'truncate must be 4, 7 or 0 (no truncation)'],
+    [{ order: 'lsb' }, 'unknown field "order" (use encoding, reverse, separator or truncate)'],
+  ];
+  for (const [value, error] of errors) {
+    assert.deepStrictEqual(plain(ctx.parseUidFormat(value)), { error }, JSON.stringify(value));
+  }
+});
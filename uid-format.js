@@ -0,0 +1,127 @@
+/**
+ * UID output formats: how the card UID is written into payloads for
+ * backends that expect something other than colon-separated hex. Loaded by
+ * the background worker (to format each read), the options page (to
+ * preview the format) and routing.js (to validate per-target formats).
+ *
+ * A format is { encoding, reverse, separator, truncate }:
+ *   truncate  - keep the first 4 or 7 bytes of the UID (0 = all); shorter
+ *               UIDs are left as they are
+ *   reverse   - reverse the byte order (after truncating), as readers that
+ *               report the UID least significant byte first do
+ *   encoding  - 'hex' (two digits per byte), 'decimal' (the bytes as one
+ *               big-endian number), 'wiegand26' or 'wiegand34'
+ *   separator - between hex bytes, or between the Wiegand facility code
+ *               and card number; ignored for decimal
+ *
+ * Wiegand frames take the low-order bytes of the UID (the last 3 bytes for
+ * 26-bit, the last 4 for 34-bit, after truncation and reversal) as facility
+ * code + card number: 8 + 16 bits for 26-bit, 16 + 16 bits for 34-bit. The
+ * leading parity bit is even over the first half of the data bits and the
+ * trailing one odd over the second half. The formatted value is the
+ * zero-padded decimal facility code and card number, e.g. "161:45763" for
+ * 04:A1:B2:C3 as 26-bit.
+ */
+
+const UID_ENCODINGS = ['hex', 'decimal', 'wiegand26', 'wiegand34'];
+const UID_TRUNCATE_LENGTHS = [0, 4, 7];
+const UID_SEPARATOR_MAX = 3;
+
+const DEFAULT_UID_FORMAT = { encoding: 'hex', reverse: false, separator: ':', truncate: 0 };
+
+// Data bits and field widths (bits, decimal digits) per Wiegand encoding
+const WIEGAND_LAYOUTS = {
+  wiegand26: { facilityBits: 8, facilityDigits: 3, cardBits: 16, cardDigits: 5 },
+  wiegand34: { facilityBits: 16, facilityDigits: 5, cardBits: 16, cardDigits: 5 },
+};
+
+/**
+ * Validate a format object, filling missing fields from base. Returns
+ * { format } or { error }.
+ * @param {object} value - { encoding, reverse, separator, truncate }, all optional
+ * @param {object} [base] - format the missing fields come from
+ */
+function parseUidFormat(value, base = DEFAULT_UID_FORMAT) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'must be an object' };
+
+  const format = { ...base };
+  for (const [key, v] of Object.entries(value)) {
+    if (key === 'encoding') {
+      if (!UID_ENCODINGS.includes(v)) return { error: 'encoding must be one of ' + UID_ENCODINGS.join(', ') };
+      format.encoding = v;
+    } else if (key === 'reverse') {
+      if (typeof v !== 'boolean') return { error: 'reverse must be true or false' };
+      format.reverse = v;
+    } else if (key === 'separator') {
+      const error = uidSeparatorError(v);
+      if (error) return { error };
+      format.separator = v;
+    } else if (key === 'truncate') {
+      if (!UID_TRUNCATE_LENGTHS.includes(v)) return { error: 'truncate must be 4, 7 or 0 (no truncation)' };
+      format.truncate = v;
+    } else {
+      return { error: 'unknown field "' + key + '" (use encoding, reverse, separator or truncate)' };
+    }
+  }
+  return { format };
+}
+
+/**
+ * Returns an error message if a separator would make the output ambiguous, else null.
+ */
+function uidSeparatorError(separator) {
+  if (typeof separator !== 'string') return 'separator must be a string';
+  if (separator.length > UID_SEPARATOR_MAX) return 'separator must be at most ' + UID_SEPARATOR_MAX + ' characters';
+  if (/[0-9A-Za-z]/.test(separator)) return 'separator must not contain letters or digits';
+  return null;
+}
+
+function isDefaultUidFormat(format) {
+  return Object.keys(DEFAULT_UID_FORMAT).every(key => format[key] === DEFAULT_UID_FORMAT[key]);
+}
+
+/**
+ * Format a UID as shown elsewhere ("04:A1:B2:C3"). Returns
+ * { value, wiegand } where wiegand is { facilityCode, cardNumber, bits }
+ * for the Wiegand encodings and null otherwise, or null for a missing UID.
+ */
+function formatUid(uid, format) {
+  if (!uid) return null;
+  let bytes = uid.split(':').map(b => parseInt(b, 16));
+  if (format.truncate) bytes = bytes.slice(0, format.truncate);
+  if (format.reverse) bytes = bytes.reverse();
+
+  if (format.encoding === 'decimal') {
+    const n = bytes.reduce((acc, b) => (acc << 8n) | BigInt(b), 0n);
+    return { value: n.toString(), wiegand: null };
+  }
+  if (WIEGAND_LAYOUTS[format.encoding]) {
+    const layout = WIEGAND_LAYOUTS[format.encoding];
+    const wiegand = wiegandFrame(bytes, layout);
+    const value = String(wiegand.facilityCode).padStart(layout.facilityDigits, '0') + format.separator +
+      String(wiegand.cardNumber).padStart(layout.cardDigits, '0');
+    return { value, wiegand };
+  }
+  return { value: bytes.map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(format.separator), wiegand: null };
+}
+
+/**
+ * Facility code, card number and the full frame as a string of 0s and 1s,
+ * parity bits included.
+ */
+function wiegandFrame(bytes, layout) {
+  const dataBits = layout.facilityBits + layout.cardBits;
+  const n = bytes.reduce((acc, b) => (acc << 8n) | BigInt(b), 0n) & ((1n << BigInt(dataBits)) - 1n);
+  const data = n.toString(2).padStart(dataBits, '0');
+
+  const ones = bits => bits.split('').filter(b => b === '1').length;
+  const half = dataBits / 2;
+  const even = ones(data.slice(0, half)) % 2 === 1 ? '1' : '0';
+  const odd = ones(data.slice(half)) % 2 === 1 ? '0' : '1';
+
+  return {
+    facilityCode: Number(n >> BigInt(layout.cardBits)),
+    cardNumber: Number(n & ((1n << BigInt(layout.cardBits)) - 1n)),
+    bits: even + data + odd,
+  };
+}
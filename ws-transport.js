@@ -0,0 +1,189 @@
+/**
+ * WebSocket transport for card events, as an alternative to one HTTP
+ * request per read. Loaded by the background worker.
+ *
+ * Protocol (JSON text frames):
+ *   client -> server  { type: 'hello', client_id, venue_id, auth }  after every connect
+ *   client -> server  { type: 'event', id, body }                    one per read
+ *   server -> client  { type: 'ack', id, status, body }              per event; status defaults to 200
+ *   client -> server  { type: 'ping', ts }                           heartbeat
+ *   server -> client  { type: 'pong' }
+ * Anything else the server sends is an inbound message, passed to
+ * onMessage. Events not acknowledged within WS_ACK_TIMEOUT_MS, or pending
+ * when the connection drops, fail so the caller can queue them.
+ */
+
+const WS_ACK_TIMEOUT_MS = 10000;
+const WS_HEARTBEAT_MS = 20000;      // also keeps the service worker alive
+const WS_RECONNECT_BASE_MS = 1000;
+const WS_RECONNECT_MAX_MS = 60000;
+
+class WsTransport {
+  /**
+   * @param {string} url - ws:// or wss:// URL
+   * @param {object} hooks
+   * @param {function(): Promise<object>} hooks.hello - builds the hello message
+   * @param {function(object)} hooks.onStatus - { state, url, since, retryAt, error }
+   * @param {function(object)} hooks.onMessage - inbound server messages
+   */
+  constructor(url, hooks) {
+    this.url = url;
+    this._hooks = hooks;
+    this._socket = null;
+    this._pending = new Map(); // event id -> { resolve, reject, timer }
+    this._attempts = 0;
+    this._reconnectTimer = null;
+    this._heartbeatTimer = null;
+    this._lastSeen = 0;
+    this._closed = false;
+    this._ready = false;  // hello sent; events may go out
+  }
+
+  /**
+   * Open the connection; reconnects with backoff until close() is called.
+   */
+  open() {
+    if (this._closed || this._socket) return;
+    this._status('connecting');
+
+    let socket;
+    try {
+      socket = new WebSocket(this.url);
+    } catch (e) {
+      this._scheduleReconnect(e.message);
+      return;
+    }
+    this._socket = socket;
+
+    socket.onopen = async () => {
+      this._attempts = 0;
+      this._lastSeen = Date.now();
+      try {
+        const hello = await this._hooks.hello();
+        // Closed while the hello was being built
+        if (this._socket !== socket) return;
+        socket.send(JSON.stringify(hello));
+      } catch (e) {
+        socket.close(4000, 'hello failed');
+        return;
+      }
+      this._startHeartbeat();
+      this._status('open');
+      this._ready = true;
+    };
+
+    socket.onmessage = (e) => {
+      this._lastSeen = Date.now();
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch (_) {
+        msg = { type: 'text', data: String(e.data) };
+      }
+      this._onMessage(msg);
+    };
+
+    socket.onclose = (e) => {
+      if (this._socket !== socket) return;
+      this._ready = false;
+      this._socket = null;
+      this._stopHeartbeat();
+      this._failPending('WebSocket closed');
+      if (!this._closed) this._scheduleReconnect(e.reason || 'closed with code ' + e.code);
+    };
+
+    // onclose always follows; the event carries no detail worth keeping
+    socket.onerror = () => {};
+  }
+
+  /**
+   * Close for good (settings changed or transport turned off).
+   */
+  close() {
+    this._closed = true;
+    this._ready = false;
+    clearTimeout(this._reconnectTimer);
+    this._stopHeartbeat();
+    this._failPending('WebSocket transport stopped');
+    if (this._socket) this._socket.close(1000, 'closing');
+    this._socket = null;
+    this._status('closed');
+  }
+
+  /**
+   * True once the connection is open and the hello has gone out; events
+   * sent before that would reach the server ahead of the hello.
+   */
+  isOpen() {
+    return this._ready && !!this._socket && this._socket.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Send a card event and wait for its acknowledgement. Resolves to the
+   * ack message; rejects if not connected or no ack arrives in time.
+   */
+  send(body) {
+    if (!this.isOpen()) return Promise.reject(new Error('WebSocket not connected'));
+
+    const id = crypto.randomUUID();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._pending.delete(id);
+        reject(new Error('No acknowledgement within ' + WS_ACK_TIMEOUT_MS / 1000 + 's'));
+      }, WS_ACK_TIMEOUT_MS);
+      this._pending.set(id, { resolve, reject, timer });
+      this._socket.send(JSON.stringify({ type: 'event', id, body }));
+    });
+  }
+
+  _onMessage(msg) {
+    if (msg && msg.type === 'ack' && this._pending.has(msg.id)) {
+      const pending = this._pending.get(msg.id);
+      this._pending.delete(msg.id);
+      clearTimeout(pending.timer);
+      pending.resolve(msg);
+      return;
+    }
+    if (msg && msg.type === 'pong') return;
+    this._hooks.onMessage(msg);
+  }
+
+  _failPending(reason) {
+    for (const [, pending] of this._pending) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error(reason));
+    }
+    this._pending.clear();
+  }
+
+  _startHeartbeat() {
+    this._stopHeartbeat();
+    this._heartbeatTimer = setInterval(() => {
+      if (!this.isOpen()) return;
+      // Two missed intervals without any frame from the server: assume the
+      // connection is dead even if the socket has not noticed yet
+      if (Date.now() - this._lastSeen > 2 * WS_HEARTBEAT_MS) {
+        this._socket.close(4001, 'heartbeat timeout');
+        return;
+      }
+      this._socket.send(JSON.stringify({ type: 'ping', ts: Date.now() }));
+    }, WS_HEARTBEAT_MS);
+  }
+
+  _stopHeartbeat() {
+    clearInterval(this._heartbeatTimer);
+    this._heartbeatTimer = null;
+  }
+
+  _scheduleReconnect(error) {
+    this._attempts++;
+    const delay = Math.min(WS_RECONNECT_BASE_MS * 2 ** (this._attempts - 1), WS_RECONNECT_MAX_MS);
+    this._status('reconnecting', { retryAt: new Date(Date.now() + delay).toISOString(), error });
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = setTimeout(() => this.open(), delay);
+  }
+
+  _status(state, extra = {}) {
+    this._hooks.onStatus({ state, url: this.url, since: new Date().toISOString(), retryAt: null, error: null, ...extra });
+  }
+}